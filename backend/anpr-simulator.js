@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+// Replays licence plate camera reads against the ANPR ingestion endpoint
+//
+// Usage:
+//   node anpr-simulator.js <events.json> [--url http://localhost:5000] [--speed 10] [--keep-timestamps]
+//   node anpr-simulator.js --zone <zoneId> --plates KA01AB1234,MH12XY0001 [--camera gate-1]
+//
+// events.json is an array of { plate, cameraId, zoneId, timestamp, direction }.
+// Events are sent in timestamp order with their original gaps divided by
+// --speed. Unless --keep-timestamps is given they are shifted so the first
+// event happens now, which lets a recorded day be replayed against today's
+// bookings. With --zone/--plates each plate enters, then leaves five minutes
+// later, outside the server's two-minute window for repeat reads.
+//
+// The API key is read from ANPR_API_KEY (or .env).
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const args = { url: `http://localhost:${process.env.PORT || 5000}`, speed: 1, camera: 'simulator' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--keep-timestamps') args.keepTimestamps = true;
+    else if (arg.startsWith('--')) args[arg.slice(2)] = argv[++i];
+    else args.file = arg;
+  }
+
+  args.speed = parseFloat(args.speed) || 1;
+  return args;
+}
+
+function loadEvents(args) {
+  if (args.file) {
+    return JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  }
+
+  if (!args.zone || !args.plates) {
+    console.error('Provide an events file, or --zone and --plates');
+    process.exit(1);
+  }
+
+  const stayMs = 5 * 60 * 1000;
+  const start = Date.now();
+  const events = [];
+  args.plates.split(',').forEach((plate, index) => {
+    const entryAt = start + index * 5000;
+    events.push({ plate, cameraId: args.camera, zoneId: args.zone, direction: 'entry', timestamp: new Date(entryAt) });
+    events.push({ plate, cameraId: args.camera, zoneId: args.zone, direction: 'exit', timestamp: new Date(entryAt + stayMs) });
+  });
+  return events;
+}
+
+function postEvent(baseUrl, apiKey, event) {
+  return new Promise((resolve, reject) => {
+    const url = new URL('/api/anpr/events', baseUrl);
+    const payload = JSON.stringify(event);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'x-api-key': apiKey,
+      },
+      timeout: 10000,
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (error) {
+          resolve({ status: res.statusCode, body: { message: body } });
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const apiKey = process.env.ANPR_API_KEY;
+
+  if (!apiKey) {
+    console.error('ANPR_API_KEY is not set');
+    process.exit(1);
+  }
+
+  const events = loadEvents(args)
+    .map(event => ({ ...event, timestamp: new Date(event.timestamp || Date.now()) }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (events.length === 0) {
+    console.log('No events to replay');
+    return;
+  }
+
+  const offset = args.keepTimestamps ? 0 : Date.now() - events[0].timestamp.getTime();
+  console.log(`Replaying ${events.length} plate reads to ${args.url} at ${args.speed}x`);
+
+  let previous = events[0].timestamp.getTime();
+  for (const event of events) {
+    await sleep((event.timestamp.getTime() - previous) / args.speed);
+    previous = event.timestamp.getTime();
+
+    const sent = { ...event, timestamp: new Date(event.timestamp.getTime() + offset).toISOString() };
+
+    try {
+      const { status, body } = await postEvent(args.url, apiKey, sent);
+      const detail = body.result || body.message;
+      console.log(`${sent.timestamp}  ${sent.direction || '-'}  ${sent.plate}  ->  ${status} ${detail}`);
+    } catch (error) {
+      console.error(`${sent.timestamp}  ${sent.plate}  ->  ${error.message}`);
+    }
+  }
+}
+
+main();
@@ -30,7 +30,7 @@ exports.register = async (req, res) => {
       name,
       email,
       password,
-      role: role || 'student',
+      role: role === 'visitor' ? 'visitor' : 'student', // other roles come from invitations or approval
       phone,
       vehicleNumber,
     });
@@ -3,6 +3,7 @@ const Booking = require('../models/Booking');
 const ParkingZone = require('../models/ParkingZone');
 const { sendPushNotification } = require('../utils/pushNotification');
 const { generateQR } = require('../utils/qrGenerator');
+const { can } = require('../utils/permissions');
 
 // @desc    Create new booking
 // @route   POST /api/bookings
@@ -132,7 +133,7 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
-    if (booking.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (booking.user.toString() !== req.user.id && !can(req.user, 'bookings:override')) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to cancel this booking',
@@ -1,45 +1,142 @@
- const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+// backend/middleware/auth.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { can } = require('../utils/permissions');
 
-exports.protect = async (req, res, next) => {
-  let token;
+// Only record a session's last activity this often, to save a write per request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+// How long a report download link stays valid
+const DOWNLOAD_TOKEN_MINUTES = 5;
 
-  // Check for token in Authorization header
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+// Find a live session by ID, updating when it was last seen. Returns null
+// for revoked or expired sessions.
+async function touchSession(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    session.lastSeenAt = new Date();
+    await session.save();
   }
-  // Also check for token in query parameters (for browser PDF downloads)
-  else if (req.query.token) {
-    token = req.query.token;
+
+  return session;
+}
+
+// Endpoints attendants may reach: gate scanning, plus signing out, their
+// own sessions and changing their password
+const ATTENDANT_PATHS = ['/api/scan', '/api/auth/logout', '/api/auth/sessions', '/api/auth/change-password'];
+
+function isAttendantPath(url) {
+  const path = url.split('?')[0];
+  return ATTENDANT_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+// Check a verified token's session is live and attendants stay on their
+// paths, then attach the user to the request
+async function admitUser(user, req, res, next) {
+  // Access tokens only work while the session they were issued for is live
+  try {
+    const session = user.sid ? await touchSession(user.sid) : null;
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Session has ended, please sign in again' });
+    }
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    return res.status(500).json({ success: false, message: 'Server error checking session' });
   }
 
+  // Gate attendants may only scan and manage their own sign-in
+  if (user.role === 'attendant' && !isAttendantPath(req.originalUrl)) {
+    return res.status(403).json({ success: false, message: 'Attendants can only use scanning endpoints' });
+  }
+
+  req.user = user;
+  next();
+}
+
+// Access tokens are only accepted in the Authorization header, never the
+// query string, so they don't end up in server and proxy logs
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
   if (!token) {
-    return res.status(401).json({
-      status: 'error',
-      message: 'Not authorized to access this route',
-    });
+    return res.status(401).json({ success: false, message: 'Access token required' });
   }
 
+  let user;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
-    next();
-  } catch (error) {
-    return res.status(401).json({
-      status: 'error',
-      message: 'Not authorized to access this route',
-    });
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+  }
+
+  // Download tokens only open the one report they were issued for
+  if (user.purpose) {
+    return res.status(403).json({ success: false, message: 'Invalid or expired token' });
   }
+
+  return admitUser(user, req, res, next);
 };
 
-exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+// Report PDFs opened in a browser can't send the Authorization header, so
+// they also accept a few-minute download token (from signDownloadToken) in
+// the `download` query parameter, valid only for the report it names
+const authenticateDownload = async (req, res, next) => {
+  if (!req.query.download) {
+    return authenticateToken(req, res, next);
+  }
+
+  let user;
+  try {
+    user = jwt.verify(String(req.query.download), process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ success: false, message: 'Download link is invalid or has expired' });
+  }
+
+  if (user.purpose !== 'download' || user.path !== req.originalUrl.split('?')[0]) {
+    return res.status(403).json({ success: false, message: 'Download link is not valid for this report' });
+  }
+
+  return admitUser(user, req, res, next);
+};
+
+// Sign a download token for one path on behalf of a signed-in user
+function signDownloadToken(user, path) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: user.sid, purpose: 'download', path },
+    process.env.JWT_SECRET,
+    { expiresIn: `${DOWNLOAD_TOKEN_MINUTES}m` }
+  );
+}
+
+// Require every listed permission. Goes after authenticateToken; the
+// permissions are kept on the middleware so routes can be audited.
+const requirePermission = (...permissions) => {
+  permissions.forEach(permission => can(null, permission)); // fail fast on typos
+
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Access token required' });
+    }
+
+    const missing = permissions.find(permission => !can(req.user, permission));
+    if (missing) {
       return res.status(403).json({
-        status: 'error',
-        message: `User role ${req.user.role} is not authorized`,
+        success: false,
+        message: 'You do not have permission to do this',
+        permission: missing,
       });
     }
+
     next();
   };
+
+  middleware.permissions = permissions;
+  return middleware;
 };
+
+module.exports = { authenticateToken, authenticateDownload, signDownloadToken, requirePermission, DOWNLOAD_TOKEN_MINUTES };
@@ -0,0 +1,85 @@
+// backend/models/AccessPolicy.js
+const mongoose = require('mongoose');
+
+const accessPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Which zones the policy covers: one zone, every zone of a type, or every
+  // zone when neither is set
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+  },
+  zoneType: {
+    type: String,
+    enum: ['student', 'staff', 'visitor', 'general', 'event'],
+  },
+  effect: {
+    type: String,
+    enum: ['allow', 'deny'],
+    required: true,
+  },
+  // Who the policy covers. Empty roles means any role; when users or
+  // departments are listed the user must also be one of them.
+  roles: [{
+    type: String,
+    enum: ['student', 'staff', 'admin', 'visitor', 'attendant'],
+  }],
+  userIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  departments: [{
+    type: String,
+    trim: true,
+  }],
+  // Optional time window, from startHour up to endHour (wraps past midnight
+  // when startHour > endHour), optionally only on some days (0 = Sunday).
+  // An allow policy only covers bookings entirely inside the window; a deny
+  // policy covers any booking that touches it.
+  startHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+  },
+  endHour: {
+    type: Number,
+    min: 1,
+    max: 24,
+  },
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6,
+  }],
+  // allow: most bookings a user may hold at once across the covered zones
+  maxConcurrentBookings: {
+    type: Number,
+    min: 1,
+  },
+  // Policies are checked highest priority first and the first one covering
+  // the request decides it
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+accessPolicySchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.model('AccessPolicy', accessPolicySchema);
@@ -16,6 +16,29 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  spaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+  },
+  spaceNumber: {
+    type: Number,
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+  },
+  permitId: {
+    type: mongoose.Schema.Types.ObjectId, // set on visits opened by a permit check-in
+    ref: 'Permit',
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId, // set on bookings taken from an event's allocation
+    ref: 'Event',
+  },
+  visitorId: {
+    type: mongoose.Schema.Types.ObjectId, // set on bookings made for a pre-registered guest
+    ref: 'Visitor',
+  },
   qrCode: {
     type: String,
     required: true,
@@ -35,6 +58,10 @@ const bookingSchema = new mongoose.Schema({
     type: Number, // in hours
     required: true,
   },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+  },
   vehicleNumber: {
     type: String,
     required: true,
@@ -61,6 +88,8 @@ const bookingSchema = new mongoose.Schema({
     },
     description: String,
     timestamp: Date,
+    minutesExceeded: Number,
+    fine: Number,
   }],
   createdAt: {
     type: Date,
@@ -0,0 +1,43 @@
+// backend/models/BookingQuota.js
+const mongoose = require('mongoose');
+
+// Admin-set booking limits for a role. Limits left null are unlimited, as
+// are all limits of roles without a document.
+const bookingQuotaSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['student', 'staff', 'admin', 'visitor', 'attendant'],
+    required: true,
+    unique: true,
+  },
+  maxActiveBookings: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  maxHoursPerWeek: {
+    type: Number, // Monday to Sunday, counting every booking not cancelled
+    min: 1,
+    default: null,
+  },
+  maxAdvanceDays: {
+    type: Number, // how far ahead a booking may start
+    min: 0,
+    default: null,
+  },
+  minLeadMinutes: {
+    type: Number, // how soon before its start a booking must be made
+    min: 0,
+    default: null,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('BookingQuota', bookingQuotaSchema);
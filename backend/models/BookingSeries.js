@@ -0,0 +1,52 @@
+// backend/models/BookingSeries.js
+const mongoose = require('mongoose');
+
+const bookingSeriesSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+    required: true,
+  },
+  zoneName: {
+    type: String,
+    required: true,
+  },
+  rule: {
+    type: String, // RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261218
+    required: true,
+  },
+  startTime: {
+    type: Date, // start of the first occurrence, sets the time of day for all
+    required: true,
+  },
+  duration: {
+    type: Number, // in hours
+    required: true,
+  },
+  vehicleNumber: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+  },
+  skippedDates: [{
+    date: Date,
+    reason: String,
+  }],
+  cancelledAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -0,0 +1,54 @@
+// backend/models/Invitation.js
+const mongoose = require('mongoose');
+
+// Admin-issued invitation to create an account with a privileged role. The
+// emailed token is single-use; only its hash is stored.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'attendant', 'staff'],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
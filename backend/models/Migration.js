@@ -0,0 +1,18 @@
+// backend/models/Migration.js
+const mongoose = require('mongoose');
+
+// Marker for a one-off startup task (such as seeding defaults) that has run
+// against this database and must not run again
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -0,0 +1,42 @@
+// backend/models/ParkingSpace.js
+const mongoose = require('mongoose');
+
+const parkingSpaceSchema = new mongoose.Schema({
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+    required: true,
+  },
+  number: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  label: {
+    type: String,
+    trim: true,
+  },
+  features: [{
+    type: String,
+    enum: ['ev-charger', 'accessible', 'compact', 'covered'],
+  }],
+  isDisabled: {
+    type: Boolean,
+    default: false,
+  },
+  disabledReason: {
+    type: String,
+    trim: true,
+  },
+  disabledAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+parkingSpaceSchema.index({ zoneId: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model('ParkingSpace', parkingSpaceSchema);
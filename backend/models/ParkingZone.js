@@ -41,6 +41,41 @@ const parkingZoneSchema = new mongoose.Schema({
     default: true,
   },
   amenities: [String],
+  // Price of a parking permit for each period; permits are not sold for
+  // periods without a price
+  permitPrices: {
+    semester: {
+      type: Number,
+      min: 0,
+    },
+    annual: {
+      type: Number,
+      min: 0,
+    },
+  },
+  // Fines for staying past the booked end time
+  overstayPolicy: {
+    graceMinutes: {
+      type: Number,
+      min: 0,
+      default: 10,
+    },
+    baseFine: {
+      type: Number,
+      min: 0,
+      default: 5,
+    },
+    finePerHour: {
+      type: Number,
+      min: 0,
+      default: 5,
+    },
+    maxFine: {
+      type: Number, // 0 means no limit
+      min: 0,
+      default: 50,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,87 @@
+// backend/models/Permit.js
+const mongoose = require('mongoose');
+
+const permitSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true,
+  },
+  plate: {
+    type: String,
+    required: true,
+  },
+  // Permits are sold for a zone, which reserves a space there for the whole
+  // validity period; zoneType records the kind of parking the permit covers
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+    required: true,
+  },
+  zoneName: {
+    type: String,
+    required: true,
+  },
+  zoneType: {
+    type: String,
+    enum: ['student', 'staff', 'visitor', 'general', 'event'],
+    required: true,
+  },
+  period: {
+    type: String,
+    enum: ['semester', 'annual'],
+    required: true,
+  },
+  validFrom: {
+    type: Date,
+    required: true,
+  },
+  validUntil: {
+    type: Date,
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  totalAmount: {
+    type: Number, // net amount paid, kept in step with the ledger
+    default: 0,
+  },
+  // pending -> approved | rejected; approved -> cancelled | expired
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'expired'],
+    default: 'pending',
+  },
+  qrCode: {
+    type: String, // signed pass, issued on approval
+  },
+  decisionNote: {
+    type: String,
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  decidedAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+permitSchema.index({ zoneId: 1, status: 1, validFrom: 1, validUntil: 1 });
+
+module.exports = mongoose.model('Permit', permitSchema);
@@ -0,0 +1,61 @@
+// backend/models/PlateRead.js
+const mongoose = require('mongoose');
+
+const plateReadSchema = new mongoose.Schema({
+  plate: {
+    type: String, // as read by the camera
+    required: true,
+  },
+  normalizedPlate: {
+    type: String,
+    required: true,
+  },
+  cameraId: {
+    type: String,
+    required: true,
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+    required: true,
+  },
+  direction: {
+    type: String,
+    enum: ['entry', 'exit'],
+  },
+  confidence: {
+    type: Number,
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+  },
+  result: {
+    type: String,
+    enum: ['checked-in', 'checked-out', 'unmatched', 'ambiguous', 'rejected'],
+    required: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  violationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Violation',
+  },
+  matchDistance: {
+    type: Number, // character edits between the read and the booked plate
+  },
+  message: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+plateReadSchema.index({ zoneId: 1, timestamp: -1 });
+plateReadSchema.index({ normalizedPlate: 1, timestamp: -1 });
+
+module.exports = mongoose.model('PlateRead', plateReadSchema);
@@ -0,0 +1,74 @@
+// backend/models/PricingRule.js
+const mongoose = require('mongoose');
+
+const pricingRuleSchema = new mongoose.Schema({
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['time-of-day', 'weekend', 'event-day', 'role-discount', 'daily-cap'],
+    required: true,
+  },
+  // time-of-day: applies from startHour up to endHour (wraps past midnight
+  // when startHour > endHour), optionally only on some days (0 = Sunday)
+  startHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+  },
+  endHour: {
+    type: Number,
+    min: 1,
+    max: 24,
+  },
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6,
+  }],
+  // time-of-day and weekend: multiplies the hourly rate (1.5 peak, 0.8 off-peak)
+  multiplier: {
+    type: Number,
+    min: 0,
+    default: 1,
+  },
+  // event-day: added to the hourly rate on days with an event in the zone
+  surchargePerHour: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // role-discount: percentage taken off the total for this role
+  role: {
+    type: String,
+    enum: ['student', 'staff', 'admin', 'visitor'],
+  },
+  discountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  // daily-cap: most a booking is charged for any one calendar day
+  amount: {
+    type: Number,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
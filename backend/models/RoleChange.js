@@ -0,0 +1,41 @@
+// backend/models/RoleChange.js
+const mongoose = require('mongoose');
+
+// Audit log entry for every change to a user's role
+const roleChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  fromRole: {
+    type: String, // unset for accounts created with the role
+  },
+  toRole: {
+    type: String,
+    required: true,
+  },
+  // admin: changed by an admin; invitation: account created from an invite;
+  // email-domain: staff verified by institutional email; approval: staff
+  // request approved by an admin
+  method: {
+    type: String,
+    enum: ['admin', 'invitation', 'email-domain', 'approval'],
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reason: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+roleChangeSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RoleChange', roleChangeSchema);
@@ -0,0 +1,43 @@
+// backend/models/ScanLog.js
+const mongoose = require('mongoose');
+
+const scanLogSchema = new mongoose.Schema({
+  attendantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  action: {
+    type: String,
+    enum: ['check-in', 'check-out'],
+    required: true,
+  },
+  result: {
+    type: String,
+    enum: ['accepted', 'rejected'],
+    required: true,
+  },
+  reason: {
+    type: String, // why a scan was rejected, e.g. expired, wrong-zone, replayed
+  },
+  message: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+scanLogSchema.index({ attendantId: 1, createdAt: -1 });
+scanLogSchema.index({ zoneId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScanLog', scanLogSchema);
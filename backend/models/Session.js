@@ -0,0 +1,51 @@
+// backend/models/Session.js
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session ID and stop working
+// once the session is revoked; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String, // SHA-256 of the current refresh token
+    required: true,
+  },
+  device: {
+    type: String,
+    trim: true,
+  },
+  ipAddress: {
+    type: String,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  revokedReason: {
+    type: String, // logout, revoked, refresh-reuse
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
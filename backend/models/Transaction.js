@@ -0,0 +1,76 @@
+// backend/models/Transaction.js
+const mongoose = require('mongoose');
+
+const transactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  permitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Permit',
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'adjustment', 'refund'],
+    required: true,
+  },
+  amount: {
+    type: Number, // positive for money taken, negative for money returned
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    default: 'succeeded',
+  },
+  provider: {
+    type: String,
+  },
+  providerReference: {
+    type: String,
+  },
+  description: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+transactionSchema.index({ bookingId: 1 });
+transactionSchema.index({ createdAt: -1 });
+
+// Net revenue (charges minus refunds) of succeeded transactions matching the filter
+transactionSchema.statics.totalRevenue = async function (filter = {}) {
+  const result = await this.aggregate([
+    { $match: { ...filter, status: 'succeeded' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  return result.length > 0 ? Math.round(result[0].total * 100) / 100 : 0;
+};
+
+// Net amount the user has paid for a booking so far
+transactionSchema.statics.netPaidForBooking = async function (bookingId, session = null) {
+  const result = await this.aggregate([
+    { $match: { bookingId: new mongoose.Types.ObjectId(bookingId), status: 'succeeded' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]).session(session);
+  return result.length > 0 ? Math.round(result[0].total * 100) / 100 : 0;
+};
+
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -21,11 +21,41 @@ const userSchema = new mongoose.Schema({
     minlength: 6,
     select: false,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
   role: {
     type: String,
-    enum: ['student', 'staff', 'admin', 'visitor'],
+    enum: ['student', 'staff', 'admin', 'visitor', 'attendant'],
     default: 'student',
   },
+  // Set by admins; zone access policies can allow whole departments
+  department: {
+    type: String,
+    trim: true,
+  },
+  // Staff sign up with visitor access until their email domain or an admin
+  // confirms they are staff
+  staffRequest: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+    },
+    requestedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: Date,
+    note: String,
+  },
   phone: {
     type: String,
     trim: true,
@@ -34,6 +64,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  photoUrl: {
+    type: String, // shown to gate attendants when they scan the user's QR code
+    trim: true,
+  },
+  balance: {
+    type: Number, // outstanding fines owed
+    default: 0,
+  },
+  // Automatic suspension for repeat parking violations
+  bookingBan: {
+    until: Date,
+    reason: String,
+    bannedAt: Date,
+  },
   pushToken: {
     type: String, // Expo push token
   },
@@ -0,0 +1,61 @@
+// backend/models/Vehicle.js
+const mongoose = require('mongoose');
+
+const vehicleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  plate: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  normalizedPlate: {
+    type: String, // plate without spaces or separators, used for matching
+    required: true,
+  },
+  make: {
+    type: String,
+    trim: true,
+  },
+  colour: {
+    type: String,
+    trim: true,
+  },
+  permitType: {
+    type: String,
+    trim: true,
+  },
+  // unverified -> pending (owner asks) -> verified | rejected (admin decides)
+  verificationStatus: {
+    type: String,
+    enum: ['unverified', 'pending', 'verified', 'rejected'],
+    default: 'unverified',
+  },
+  registrationDocument: {
+    type: String, // registration certificate number or document link
+    trim: true,
+  },
+  verificationNote: {
+    type: String,
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  verifiedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+vehicleSchema.index({ userId: 1, normalizedPlate: 1 }, { unique: true });
+vehicleSchema.index({ normalizedPlate: 1 });
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
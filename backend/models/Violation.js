@@ -0,0 +1,67 @@
+// backend/models/Violation.js
+const mongoose = require('mongoose');
+
+const violationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+  },
+  zoneName: {
+    type: String,
+  },
+  vehicleNumber: {
+    type: String,
+  },
+  type: {
+    type: String,
+    enum: ['overstay', 'unauthorized', 'no-checkout', 'other'],
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  minutesExceeded: {
+    type: Number,
+  },
+  fine: {
+    type: Number,
+    default: 0,
+  },
+  // open -> appealed -> upheld | dismissed
+  status: {
+    type: String,
+    enum: ['open', 'appealed', 'upheld', 'dismissed'],
+    default: 'open',
+  },
+  appeal: {
+    reason: String,
+    submittedAt: Date,
+    decision: {
+      type: String,
+      enum: ['accepted', 'rejected'],
+    },
+    decisionNote: String,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+violationSchema.index({ userId: 1, createdAt: -1 });
+violationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Violation', violationSchema);
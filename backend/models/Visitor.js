@@ -0,0 +1,65 @@
+// backend/models/Visitor.js
+const mongoose = require('mongoose');
+
+const visitorSchema = new mongoose.Schema({
+  // Guests are pre-registered by a staff host and do not have an account
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  plate: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  visitDate: {
+    type: Date,
+    required: true,
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+    required: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  passToken: {
+    type: String, // unguessable token in the shareable pass link
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: ['registered', 'arrived', 'cancelled'],
+    default: 'registered',
+  },
+  arrivedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+visitorSchema.index({ hostId: 1, visitDate: -1 });
+
+module.exports = mongoose.model('Visitor', visitorSchema);
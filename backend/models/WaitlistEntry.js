@@ -0,0 +1,57 @@
+// backend/models/WaitlistEntry.js
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone',
+    required: true,
+  },
+  zoneName: {
+    type: String,
+    required: true,
+  },
+  startTime: {
+    type: Date,
+    required: true,
+  },
+  endTime: {
+    type: Date,
+    required: true,
+  },
+  duration: {
+    type: Number, // in hours
+    required: true,
+  },
+  vehicleNumber: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'waiting',
+  },
+  offeredAt: {
+    type: Date,
+  },
+  holdExpiresAt: {
+    type: Date,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+waitlistEntrySchema.index({ zoneId: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -7,15 +7,17 @@ const User = require('../models/User');
 const Event = require('../models/Event');
 const Booking = require('../models/Booking');
 const Zone = require('../models/ParkingZone');
+const Transaction = require('../models/Transaction');
+const Visitor = require('../models/Visitor');
 const PDFDocument = require('pdfkit');
-const { protect: auth } = require('../middleware/auth');
+const { authenticateToken, authenticateDownload, signDownloadToken, requirePermission, DOWNLOAD_TOKEN_MINUTES } = require('../middleware/auth');
 
 /**
  * @route   GET /api/admin/reports
  * @desc    Get comprehensive admin reports with date range filtering
- * @access  Private (Admin only)
+ * @access  Private (reports:read)
  */
-router.get('/reports', async (req, res) => {
+router.get('/reports', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -126,12 +128,15 @@ router.get('/reports', async (req, res) => {
       checkOutTime: booking.checkOutTime ? new Date(booking.checkOutTime).toLocaleString() : 'Not checked out'
     }));
 
+    // Revenue comes from the payment ledger for the report period
+    const totalRevenue = await Transaction.totalRevenue({ createdAt: { $gte: start, $lte: end } });
+
     // Calculate summary statistics
     const summary = {
       totalUsers: formattedUsers.length,
       totalBookings: formattedBookings.length,
       activeEvents: activeEvents,
-      totalRevenue: formattedBookings.length * 5, // Assuming $5 per booking
+      totalRevenue,
       activeBookings: formattedBookings.filter(b => b.status === 'active').length,
       completedBookings: formattedBookings.filter(b => b.status === 'completed').length,
       cancelledBookings: formattedBookings.filter(b => b.status === 'cancelled').length
@@ -187,9 +192,9 @@ router.get('/reports', async (req, res) => {
 /**
  * @route   GET /api/admin/reports/summary
  * @desc    Get quick summary statistics for dashboard
- * @access  Private (Admin only)
+ * @access  Private (reports:read)
  */
-router.get('/reports/summary', async (req, res) => {
+router.get('/reports/summary', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -202,14 +207,16 @@ router.get('/reports/summary', async (req, res) => {
       activeBookings,
       todayBookings,
       totalZones,
-      upcomingEvents
+      upcomingEvents,
+      totalRevenue
     ] = await Promise.all([
       User.countDocuments({ role: { $ne: 'admin' } }),
       Booking.countDocuments(),
       Booking.countDocuments({ status: 'active' }),
       Booking.countDocuments({ date: { $gte: today, $lt: tomorrow } }),
       Zone.countDocuments(),
-      Event.countDocuments({ date: { $gte: today } })
+      Event.countDocuments({ date: { $gte: today } }),
+      Transaction.totalRevenue()
     ]);
 
     res.json({
@@ -221,7 +228,7 @@ router.get('/reports/summary', async (req, res) => {
         todayBookings,
         totalZones,
         upcomingEvents,
-        totalRevenue: totalBookings * 5
+        totalRevenue
       }
     });
   } catch (error) {
@@ -236,9 +243,9 @@ router.get('/reports/summary', async (req, res) => {
 /**
  * @route   GET /api/admin/reports/analytics
  * @desc    Get detailed analytics for charts and graphs
- * @access  Private (Admin only)
+ * @access  Private (reports:read)
  */
-router.get('/reports/analytics', async (req, res) => {
+router.get('/reports/analytics', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     const { days = 30 } = req.query;
     const startDate = new Date();
@@ -359,9 +366,9 @@ router.get('/reports/analytics', async (req, res) => {
 /**
  * @route   GET /api/admin/reports/export
  * @desc    Export data for external processing
- * @access  Private (Admin only)
+ * @access  Private (reports:read)
  */
-router.get('/reports/export', async (req, res) => {
+router.get('/reports/export', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate, type = 'all' } = req.query;
 
@@ -474,12 +481,37 @@ function addTableRow(doc, data, startY, columnWidths) {
   return startY + 20;
 }
 
+const PDF_REPORT_TYPES = ['visitors', 'events', 'combined'];
+
+/**
+ * @route   POST /api/admin/reports/:reportType/pdf/link
+ * @desc    Issue a short-lived download token for opening a PDF report in a
+ *          browser, which can't send the Authorization header
+ * @access  Private (reports:read)
+ */
+router.post('/reports/:reportType/pdf/link', authenticateToken, requirePermission('reports:read'), (req, res) => {
+  const { reportType } = req.params;
+
+  if (!PDF_REPORT_TYPES.includes(reportType)) {
+    return res.status(404).json({ success: false, message: 'Unknown report type' });
+  }
+
+  const path = `/api/admin/reports/${reportType}/pdf`;
+
+  res.json({
+    success: true,
+    path,
+    downloadToken: signDownloadToken(req.user, path),
+    expiresIn: DOWNLOAD_TOKEN_MINUTES * 60,
+  });
+});
+
 /**
  * @route   GET /api/admin/reports/visitors/pdf
  * @desc    Generate PDF report for visitors/users
- * @access  Private (Admin only)
+ * @access  Private (reports:read)
  */
-router.get('/reports/visitors/pdf', auth, async (req, res) => {
+router.get('/reports/visitors/pdf', authenticateDownload, requirePermission('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -497,6 +529,14 @@ router.get('/reports/visitors/pdf', auth, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    // Fetch guests pre-registered by staff hosts for visits in the range
+    const guests = await Visitor.find({
+      visitDate: { $gte: start, $lte: end }
+    })
+      .populate('hostId', 'name email')
+      .sort({ visitDate: -1 })
+      .lean();
+
     // Create PDF document
     const doc = new PDFDocument({ margin: 50 });
     
@@ -522,7 +562,7 @@ router.get('/reports/visitors/pdf', auth, async (req, res) => {
       visitor: users.filter(u => u.role === 'visitor').length
     };
     
-    doc.text(`Students: ${roleStats.student} | Staff: ${roleStats.staff} | Visitors: ${roleStats.visitor}`, 50, contentStartY + 40);
+    doc.text(`Students: ${roleStats.student} | Staff: ${roleStats.staff} | Visitors: ${roleStats.visitor} | Pre-registered Guests: ${guests.length}`, 50, contentStartY + 40);
 
     // Add table
     const tableStartY = contentStartY + 80;
@@ -550,6 +590,40 @@ router.get('/reports/visitors/pdf', auth, async (req, res) => {
       currentY = addTableRow(doc, rowData, currentY, columnWidths);
     });
 
+    // Add pre-registered guests with their hosts
+    if (guests.length > 0) {
+      const guestColumnWidths = [110, 130, 80, 80, 200];
+      const guestHeaders = ['Guest', 'Contact', 'Vehicle', 'Visit Date', 'Host'];
+
+      if (currentY > 640) {
+        doc.addPage();
+        currentY = 50;
+      } else {
+        currentY += 30;
+      }
+
+      doc.fontSize(14).fillColor('black').text('Pre-registered Guests', 50, currentY);
+      currentY = addTableHeaders(doc, guestHeaders, currentY + 25, guestColumnWidths);
+
+      guests.forEach((guest) => {
+        if (currentY > 700) {
+          doc.addPage();
+          currentY = addTableHeaders(doc, guestHeaders, 50, guestColumnWidths);
+        }
+
+        const host = guest.hostId;
+        const rowData = [
+          guest.name || 'N/A',
+          guest.email || guest.phone || 'N/A',
+          guest.plate || 'N/A',
+          new Date(guest.visitDate).toLocaleDateString(),
+          host ? `${host.name} (${host.email})` : 'N/A'
+        ];
+
+        currentY = addTableRow(doc, rowData, currentY, guestColumnWidths);
+      });
+    }
+
     // Finalize PDF
     doc.end();
 
@@ -565,9 +639,9 @@ router.get('/reports/visitors/pdf', auth, async (req, res) => {
 /**
  * @route   GET /api/admin/reports/events/pdf
  * @desc    Generate PDF report for events
- * @access  Private (Admin only)
+ * @access  Private (reports:read)
  */
-router.get('/reports/events/pdf', auth, async (req, res) => {
+router.get('/reports/events/pdf', authenticateDownload, requirePermission('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -650,9 +724,9 @@ router.get('/reports/events/pdf', auth, async (req, res) => {
 /**
  * @route   GET /api/admin/reports/combined/pdf
  * @desc    Generate combined PDF report with all data
- * @access  Private (Admin only)
+ * @access  Private (reports:read)
  */
-router.get('/reports/combined/pdf', auth, async (req, res) => {
+router.get('/reports/combined/pdf', authenticateDownload, requirePermission('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -662,7 +736,7 @@ router.get('/reports/combined/pdf', auth, async (req, res) => {
     end.setHours(23, 59, 59, 999);
 
     // Fetch all data
-    const [users, events, bookings] = await Promise.all([
+    const [users, events, bookings, totalRevenue] = await Promise.all([
       User.find({
         createdAt: { $gte: start, $lte: end },
         role: { $ne: 'admin' }
@@ -675,7 +749,9 @@ router.get('/reports/combined/pdf', auth, async (req, res) => {
       Booking.find({
         bookingDate: { $gte: start, $lte: end }
       }).populate('user', 'name email').populate('zone', 'name type')
-        .select('user zone qrCode bookingDate duration vehicleNumber status').sort({ bookingDate: -1 }).lean()
+        .select('user zone qrCode bookingDate duration vehicleNumber status').sort({ bookingDate: -1 }).lean(),
+
+      Transaction.totalRevenue({ createdAt: { $gte: start, $lte: end } })
     ]);
 
     // Create PDF document
@@ -701,7 +777,7 @@ router.get('/reports/combined/pdf', auth, async (req, res) => {
       .text(`• Total Events: ${events.length}`, 70, contentStartY + 60)
       .text(`• Total Bookings: ${bookings.length}`, 70, contentStartY + 75)
       .text(`• Active Bookings: ${bookings.filter(b => b.status === 'active').length}`, 70, contentStartY + 90)
-      .text(`• Revenue Generated: $${bookings.length * 5}`, 70, contentStartY + 105);
+      .text(`• Revenue Generated: $${totalRevenue.toFixed(2)}`, 70, contentStartY + 105);
 
     // Users Section
     doc.addPage();
@@ -3,12 +3,12 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
-router.get('/me', protect, authController.getMe);
-router.put('/update-profile', protect, authController.updateProfile);
-router.put('/update-push-token', protect, authController.updatePushToken);
+router.get('/me', authenticateToken, authController.getMe);
+router.put('/update-profile', authenticateToken, authController.updateProfile);
+router.put('/update-push-token', authenticateToken, authController.updatePushToken);
 
 module.exports = router; 
@@ -2,15 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
-const { protect, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
-router.post('/', protect, bookingController.createBooking);
-router.get('/my-bookings', protect, bookingController.getMyBookings);
-router.get('/:id', protect, bookingController.getBookingById);
-router.put('/:id/cancel', protect, bookingController.cancelBooking);
-router.put('/:id/check-in', protect, bookingController.checkIn);
-router.put('/:id/check-out', protect, bookingController.checkOut);
+router.post('/', authenticateToken, bookingController.createBooking);
+router.get('/my-bookings', authenticateToken, bookingController.getMyBookings);
+router.get('/:id', authenticateToken, bookingController.getBookingById);
+router.put('/:id/cancel', authenticateToken, bookingController.cancelBooking);
+router.put('/:id/check-in', authenticateToken, bookingController.checkIn);
+router.put('/:id/check-out', authenticateToken, bookingController.checkOut);
 router.get('/qr/:qrCode', bookingController.getBookingByQR);
-router.get('/', protect, authorize('admin'), bookingController.getAllBookings);
+router.get('/', authenticateToken, requirePermission('bookings:read'), bookingController.getAllBookings);
 
 module.exports = router;
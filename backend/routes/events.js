@@ -2,14 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController');
-const { protect, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 router.get('/', eventController.getAllEvents);
 router.get('/:id', eventController.getEventById);
-router.post('/', protect, authorize('admin'), eventController.createEvent);
-router.put('/:id', protect, authorize('admin'), eventController.updateEvent);
-router.delete('/:id', protect, authorize('admin'), eventController.deleteEvent);
-router.post('/:id/book', protect, eventController.bookEventParking);
+router.post('/', authenticateToken, requirePermission('events:write'), eventController.createEvent);
+router.put('/:id', authenticateToken, requirePermission('events:write'), eventController.updateEvent);
+router.delete('/:id', authenticateToken, requirePermission('events:write'), eventController.deleteEvent);
+router.post('/:id/book', authenticateToken, eventController.bookEventParking);
 
 module.exports = router;
  
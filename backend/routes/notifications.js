@@ -2,11 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-const { protect } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
-router.get('/', protect, notificationController.getMyNotifications);
-router.put('/:id/read', protect, notificationController.markAsRead);
-router.delete('/:id', protect, notificationController.deleteNotification);
-router.post('/send', protect, notificationController.sendNotification);
+router.get('/', authenticateToken, notificationController.getMyNotifications);
+router.put('/:id/read', authenticateToken, notificationController.markAsRead);
+router.delete('/:id', authenticateToken, notificationController.deleteNotification);
+router.post('/send', authenticateToken, requirePermission('notifications:send'), notificationController.sendNotification);
 
 module.exports = router; 
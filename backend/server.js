@@ -9,9 +9,9 @@ const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const rateLimit = require('express-rate-limit');
-const { v4: uuidv4 } = require('uuid');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const os = require('os');
+const crypto = require('crypto');
 const PDFDocument = require('pdfkit');
 const cron = require('node-cron');
 const { Expo } = require('expo-server-sdk');
@@ -33,6 +33,25 @@ if (process.env.NODE_ENV === 'production') {
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/campus-parking';
 const JWT_SECRET = process.env.JWT_SECRET;
 const PORT = process.env.PORT || 5000;
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES) || 15;
+const VIOLATION_BAN_THRESHOLD = parseInt(process.env.VIOLATION_BAN_THRESHOLD) || 3;
+const VIOLATION_WINDOW_DAYS = parseInt(process.env.VIOLATION_WINDOW_DAYS) || 30;
+const VIOLATION_BAN_DAYS = parseInt(process.env.VIOLATION_BAN_DAYS) || 7;
+const ANPR_API_KEY = process.env.ANPR_API_KEY;
+// The mobile app doesn't refresh its access token yet, so it keeps the 7 days
+// it had before refresh tokens; revoking the session still ends it at once
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 7 * 24 * 60;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 30;
+const MAIL_FROM = process.env.MAIL_FROM || 'Campus Parking <no-reply@campus-parking.local>';
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const INVITATION_DAYS = parseInt(process.env.INVITATION_DAYS) || 7;
+// Institutional email domains whose verified addresses are accepted as staff
+const STAFF_EMAIL_DOMAINS = (process.env.STAFF_EMAIL_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
 
 // Validate required environment variables
 if (!JWT_SECRET) {
@@ -40,15 +59,53 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
+// A temporary QR signing key would invalidate every issued QR code on restart
+if (process.env.NODE_ENV === 'production' && !process.env.QR_PRIVATE_KEY) {
+  console.error('FATAL ERROR: QR_PRIVATE_KEY environment variable is required in production');
+  process.exit(1);
+}
+
+// No delivering mail transport exists yet, so production falls back to the
+// console one, which prints verification and reset links to the logs
+if (process.env.NODE_ENV === 'production' && [undefined, '', 'console'].includes(process.env.MAIL_TRANSPORT)) {
+  console.warn('WARNING: MAIL_TRANSPORT is not set to a delivering transport; account emails, including their links, are printed to the server logs');
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
-  message: { success: false, message: 'Too many requests, please try again later' }
+  message: { success: false, message: 'Too many requests, please try again later' },
+  // Plate cameras send a steady stream of reads and authenticate with their own key
+  skip: (req) => req.originalUrl.startsWith('/api/anpr/')
 });
 
 app.use('/api/', limiter);
 
+// Stricter limits for guessing passwords, keyed by account so one client
+// can't lock out everyone behind a shared IP: signed-in users by their id,
+// reset and invitation links by their token, and otherwise by address and
+// the email the request names
+const accountKey = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+  if (req.body.token) return `token:${hashToken(String(req.body.token))}`;
+  return `${ipKeyGenerator(req.ip)}:${String(req.body.email || '').toLowerCase()}`;
+};
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: accountKey,
+  message: { success: false, message: 'Too many sign-in attempts, please try again later' }
+});
+
+const passwordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  keyGenerator: accountKey,
+  message: { success: false, message: 'Too many password requests, please try again later' }
+});
+
 // ===== ROUTE IMPORTS =====
 const adminRoutes = require('./routes/adminRoutes');
 // Note: Other routes (auth, zones, bookings, events, notifications) are defined inline below
@@ -238,35 +295,169 @@ function broadcast(data) {
   console.log(`Broadcast sent to ${sentCount} clients:`, data.type);
 }
 
-// Helper to get current zone availability
-async function getZoneAvailability(zoneId, session = null) {
-  const query = Zone.findById(zoneId);
-  const zone = session ? await query.session(session) : await query;
-  
-  if (!zone) return null;
-
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date();
-  endOfDay.setHours(23, 59, 59, 999);
+// The parts of a booking that take a slot of their own, as intervals for
+// peakOccupancy. A vehicle parked past its booked end keeps its slot until it
+// leaves, so to the end of the window. An event booking only needs a slot
+// where its event's reservation in the zone doesn't cover it: all of it once
+// the event is cancelled, deleted or moved away, and any time an attendee
+// stays on after the event.
+function bookingIntervals(booking, eventIntervals, windowEnd) {
+  const startTime = booking.startTime;
+  const endTime = isOverstaying(booking) ? windowEnd : booking.endTime;
+
+  const reservation = booking.eventId &&
+    eventIntervals.find(interval => interval.eventId.toString() === booking.eventId.toString());
+  if (!reservation) return [{ startTime, endTime }];
+
+  const intervals = [];
+  if (startTime < reservation.startTime) {
+    intervals.push({ startTime, endTime: endTime < reservation.startTime ? endTime : reservation.startTime });
+  }
+  if (endTime > reservation.endTime) {
+    intervals.push({ startTime: startTime > reservation.endTime ? startTime : reservation.endTime, endTime });
+  }
+  return intervals;
+}
 
-  const countQuery = Booking.countDocuments({
+// Helper to count the peak number of concurrent active bookings in a zone
+// over a time window. Unexpired waitlist holds keep a slot for the offered
+// user, so they count as bookings too (except the hold being accepted), and
+// slots reserved by permits and events are taken for their whole period.
+// Pass excludeEventId to leave one event's reservation (and its bookings)
+// out, excludeBookingId to leave out a booking being moved, and
+// includeWaiting to count users still waiting on the waitlist as well.
+async function countPeakBookings(zoneId, start, end, session = null, options = {}) {
+  // Permit visits are left out: the permit already holds their space
+  const bookingFilter = {
     zoneId,
     status: 'active',
-    date: { $gte: startOfDay, $lte: endOfDay },
+    permitId: null,
+    ...occupancyQuery(start, end),
+  };
+  if (options.excludeBookingId) bookingFilter._id = { $ne: options.excludeBookingId };
+  if (options.excludeEventId) bookingFilter.eventId = { $ne: options.excludeEventId };
+
+  const query = Booking.find(bookingFilter).select('startTime endTime checkInTime checkOutTime eventId');
+
+  const bookings = session ? await query.session(session) : await query;
+
+  const holdFilter = {
+    zoneId,
+    status: 'offered',
+    holdExpiresAt: { $gt: new Date() },
+    ...overlapQuery(start, end),
+  };
+  if (options.excludeHoldId) holdFilter._id = { $ne: options.excludeHoldId };
+  if (options.includeWaiting) {
+    delete holdFilter.status;
+    delete holdFilter.holdExpiresAt;
+    holdFilter.$or = [
+      { status: 'offered', holdExpiresAt: { $gt: new Date() } },
+      { status: 'waiting' },
+    ];
+  }
+
+  const holds = await WaitlistEntry.find(holdFilter).select('startTime endTime').session(session);
+  const permits = await findPermitIntervals(zoneId, start, end, session);
+  const events = await findEventIntervals(zoneId, start, end, session, options);
+  const bookingSlots = bookings.flatMap(booking => bookingIntervals(booking, events, end));
+
+  return peakOccupancy([...bookingSlots, ...holds, ...permits, ...events], start, end);
+}
+
+// Approved permits for a zone valid at some point in the window, as
+// intervals for peakOccupancy. Each one reserves a space for its validity.
+async function findPermitIntervals(zoneId, start, end, session = null) {
+  const permits = await Permit.find({
+    zoneId,
+    status: 'approved',
+    validFrom: { $lt: end },
+    validUntil: { $gt: start },
+  }).select('validFrom validUntil').session(session);
+
+  return permits.map(permit => ({ startTime: permit.validFrom, endTime: permit.validUntil }));
+}
+
+// Slots active events reserve in a zone during the window, as intervals
+// (with a count of slots and the event's ID) for peakOccupancy
+async function findEventIntervals(zoneId, start, end, session = null, { excludeEventId = null } = {}) {
+  const filter = {
+    isActive: true,
+    $and: [
+      { $or: [{ zoneId }, { 'allocatedZones.zone': zoneId }] },
+      {
+        $or: [
+          { startTime: { $lt: end }, endTime: { $gt: start } },
+          // Events without times take the whole day of their date
+          { endTime: null, date: { $gt: new Date(start.getTime() - DAY_MS), $lt: end } },
+        ],
+      },
+    ],
+  };
+  if (excludeEventId) filter._id = { $ne: excludeEventId };
+
+  const events = await Event.find(filter).session(session);
+
+  return events.flatMap((event) => {
+    const allocation = getEventZoneAllocations(event)
+      .find(entry => entry.zoneId.toString() === zoneId.toString());
+    if (!allocation || allocation.allocatedSlots <= 0) return [];
+
+    const window = getEventWindow(event);
+    return [{ startTime: window.start, endTime: window.end, count: allocation.allocatedSlots, eventId: event._id }];
   });
+}
+
+// Helper to get zone availability for a time window (defaults to right now)
+async function getZoneAvailability(zoneId, { start, end, session = null } = {}) {
+  const query = Zone.findById(zoneId);
+  const zone = session ? await query.session(session) : await query;
+  
+  if (!zone) return null;
 
-  const activeBookings = session ? 
-    await countQuery.session(session) : 
-    await countQuery;
+  const window = start ? { start, end } : resolveWindow();
+  const activeBookings = await countPeakBookings(zoneId, window.start, window.end, session);
+  const capacity = await getZoneCapacity(zone, session);
+  const permits = await findPermitIntervals(zoneId, window.start, window.end, session);
+  const events = await findEventIntervals(zoneId, window.start, window.end, session);
 
   return {
     id: zone._id,
     name: zone.name,
     total: zone.totalSlots,
-    available: Math.max(0, zone.totalSlots - activeBookings),
+    capacity,
+    available: Math.max(0, capacity - activeBookings),
+    booked: activeBookings,
+    reservedForPermits: peakOccupancy(permits, window.start, window.end),
+    reservedForEvents: peakOccupancy(events, window.start, window.end),
     type: zone.type,
+    window,
+  };
+}
+
+// Broadcast current availability for a zone. When a booking window is given
+// the availability for that window is included so clients looking at a
+// future time slot can refresh it.
+async function broadcastZoneUpdate(zoneId, window = null) {
+  const zoneData = await getZoneAvailability(zoneId);
+  if (!zoneData) return;
+
+  const update = {
+    type: 'zone_update',
+    zoneId: zoneId.toString(),
+    available: zoneData.available,
   };
+
+  if (window && window.start) {
+    const windowData = await getZoneAvailability(zoneId, window);
+    update.window = {
+      start: window.start,
+      end: window.end,
+      available: windowData.available,
+    };
+  }
+
+  broadcast(update);
 }
 
 // ===== MODELS =====
@@ -276,24 +467,53 @@ const Zone = require('./models/ParkingZone');
 const Booking = require('./models/Booking');
 const Notification = require('./models/Notification');
 const Event = require('./models/Event');
+const ParkingSpace = require('./models/ParkingSpace');
+const BookingSeries = require('./models/BookingSeries');
+const WaitlistEntry = require('./models/WaitlistEntry');
+const Transaction = require('./models/Transaction');
+const PricingRule = require('./models/PricingRule');
+const Violation = require('./models/Violation');
+const ScanLog = require('./models/ScanLog');
+const PlateRead = require('./models/PlateRead');
+const Vehicle = require('./models/Vehicle');
+const Permit = require('./models/Permit');
+const Visitor = require('./models/Visitor');
+const Session = require('./models/Session');
+const AuthToken = require('./models/AuthToken');
+const Invitation = require('./models/Invitation');
+const RoleChange = require('./models/RoleChange');
+const AccessPolicy = require('./models/AccessPolicy');
+const BookingQuota = require('./models/BookingQuota');
+const Migration = require('./models/Migration');
+const { overlapQuery, occupancyQuery, isOverstaying, peakOccupancy, resolveWindow, HOUR_MS } = require('./utils/availability');
+const { expandRule } = require('./utils/recurrence');
+const { quotePrice, calculateRefund, calculateOverstayFine, roundCurrency } = require('./utils/pricing');
+const { getPaymentProvider } = require('./utils/paymentProvider');
+const { getMailTransport } = require('./utils/mailTransport');
+const { signQRToken, verifyQRToken, getQRPublicKey, QR_EARLY_MINUTES } = require('./utils/qrToken');
+const { normalizePlate, matchPlate, plateCandidatePattern } = require('./utils/plates');
+const { can, permissionsFor } = require('./utils/permissions');
+const { evaluateAccess, describeTimeWindow, hasTimeWindow } = require('./utils/accessPolicy');
+const { authenticateToken, authenticateDownload, requirePermission } = require('./middleware/auth');
+
+const DAY_MS = 24 * HOUR_MS;
 
 // ===== MIDDLEWARE =====
 
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Plate recognition cameras authenticate with the shared ANPR_API_KEY
+const authenticateCamera = (req, res, next) => {
+  if (!ANPR_API_KEY) {
+    return res.status(503).json({ success: false, message: 'Plate recognition is not configured' });
+  }
+
+  const key = req.headers['x-api-key'];
 
-  if (!token) {
-    return res.status(401).json({ success: false, message: 'Access token required' });
+  if (!key || key.length !== ANPR_API_KEY.length ||
+      !crypto.timingSafeEqual(Buffer.from(key), Buffer.from(ANPR_API_KEY))) {
+    return res.status(401).json({ success: false, message: 'Invalid camera API key' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, message: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  next();
 };
 
 // Validation middleware
@@ -309,6 +529,194 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// ===== SESSION HELPERS =====
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+function createRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+}
+
+// Start a session for a user signing in from the request's device. Returns
+// the tokens to send back to the client.
+async function startSession(user, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { refreshToken, refreshTokenHash } = createRefreshToken(sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash,
+    device: (req.body.device || req.headers['user-agent'] || 'Unknown device').slice(0, 200),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+  });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    sessionId,
+  };
+}
+
+// End one session (or all of a user's sessions with userId), so its access
+// and refresh tokens stop working
+async function revokeSessions(filter, { revokedBy = null, reason = 'revoked' } = {}) {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedBy, revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: session._id,
+    device: session.device,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: currentSessionId ? session._id.toString() === currentSessionId : undefined,
+  };
+}
+
+// ===== ACCOUNT EMAIL HELPERS =====
+
+const mailTransport = getMailTransport();
+
+// Send an email, logging rather than throwing on failure so the request that
+// triggered it still succeeds
+async function sendMail(to, subject, text) {
+  try {
+    const result = await mailTransport.send({ from: MAIL_FROM, to, subject, text });
+    if (!result.success) {
+      console.error(`Mail to ${to} failed:`, result.message);
+    }
+    return result.success;
+  } catch (error) {
+    console.error(`Mail to ${to} failed:`, error);
+    return false;
+  }
+}
+
+// Create a single-use token of a type for a user, replacing any unused ones,
+// and return the plain token to mail out
+async function issueAuthToken(userId, type, ttlMs) {
+  await AuthToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+}
+
+// Use up a token, returning its record, or null if it is unknown, expired
+// or already used
+async function consumeAuthToken(token, type) {
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAuthToken(user._id, 'email-verification', EMAIL_VERIFICATION_HOURS * HOUR_MS);
+
+  return sendMail(user.email, 'Verify your Campus Parking email',
+    `Hi ${user.name},\n\n` +
+    `Confirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\n` +
+    `Or enter this code in the app: ${token}\n\n` +
+    `The link expires in ${EMAIL_VERIFICATION_HOURS} hours.`);
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueAuthToken(user._id, 'password-reset', PASSWORD_RESET_MINUTES * 60 * 1000);
+
+  return sendMail(user.email, 'Reset your Campus Parking password',
+    `Hi ${user.name},\n\n` +
+    `Someone asked to reset the password for your account. To choose a new one, open:\n` +
+    `${APP_URL}/reset-password?token=${token}\n\n` +
+    `Or enter this code in the app: ${token}\n\n` +
+    `The link expires in ${PASSWORD_RESET_MINUTES} minutes and can only be used once. ` +
+    `If you didn't ask for this you can ignore this email.`);
+}
+
+// ===== ROLE HELPERS =====
+
+function isStaffEmail(email) {
+  const domain = String(email).split('@').pop().toLowerCase();
+  return STAFF_EMAIL_DOMAINS.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+// Change a user's role and record it in the audit log. With endSessions the
+// user is signed out so tokens carrying the old role stop working at once;
+// otherwise the new role applies from their next token refresh.
+async function changeUserRole(user, role, { method, changedBy = null, reason, endSessions = false }) {
+  const fromRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await RoleChange.create({ userId: user._id, fromRole, toRole: role, method, changedBy, reason });
+
+  if (endSessions) {
+    await revokeSessions({ userId: user._id }, { revokedBy: changedBy, reason: 'role-change' });
+  }
+
+  return user;
+}
+
+// Promote a user with a pending staff request whose verified email is on an
+// institutional domain. Returns true when the user was promoted.
+async function applyStaffEmailDomain(user) {
+  if (!user.staffRequest || user.staffRequest.status !== 'pending') return false;
+  if (!user.emailVerified || !isStaffEmail(user.email)) return false;
+
+  user.staffRequest.status = 'approved';
+  user.staffRequest.decidedAt = new Date();
+  await changeUserRole(user, 'staff', { method: 'email-domain', reason: `Verified ${user.email.split('@').pop()} email` });
+
+  await notifyUser(user._id, {
+    title: 'Staff Access Confirmed',
+    message: 'Your staff email was verified and staff parking is now available to you',
+    type: 'success',
+  });
+
+  return true;
+}
+
+function invitationUrl(token) {
+  return `${APP_URL}/accept-invitation?token=${token}`;
+}
+
+async function sendInvitationEmail(invitation, token, inviter) {
+  return sendMail(invitation.email, 'You have been invited to Campus Parking',
+    `Hi${invitation.name ? ` ${invitation.name}` : ''},\n\n` +
+    `${inviter.name} has invited you to join Campus Parking as ${invitation.role === 'admin' ? 'an' : 'a'} ${invitation.role}. ` +
+    `To create your account, open:\n${invitationUrl(token)}\n\n` +
+    `Or enter this code in the app: ${token}\n\n` +
+    `The invitation expires in ${INVITATION_DAYS} days.`);
+}
+
 // ===== HELPER FUNCTIONS =====
 
 function getTimeAgo(date) {
@@ -326,780 +734,6178 @@ function getTimeAgo(date) {
   return 'Just now';
 }
 
-// Generate unique QR code
-function generateQRCode() {
-  return `QR-${uuidv4().split('-')[0].toUpperCase()}`;
+// Signed QR token for a booking, valid around its time window
+function generateQRCode(booking) {
+  return signQRToken({
+    bookingId: booking._id,
+    zoneId: booking.zoneId,
+    startTime: booking.startTime || booking.date,
+    endTime: booking.endTime || new Date(new Date(booking.date).getTime() + booking.duration * HOUR_MS),
+    kind: booking.eventId ? 'event' : 'booking',
+    eventId: booking.eventId,
+  });
 }
 
-// ===== VALIDATION RULES =====
+// A permit pass is valid at its zone's gates for the whole permit period
+function generatePermitQRCode(permit) {
+  return signQRToken({
+    bookingId: permit._id,
+    zoneId: permit.zoneId,
+    startTime: permit.validFrom,
+    endTime: permit.validUntil,
+    kind: 'permit',
+  });
+}
 
-const signupValidation = [
-  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
-  body('email').isEmail().normalizeEmail().withMessage('Invalid email format'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['student', 'staff', 'admin', 'visitor']).withMessage('Invalid role'),
-  body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Phone must be 10 digits'),
-  body('vehicleNumber').optional().trim().isLength({ max: 20 })
-];
+// Check a scanned QR token is signed by us, inside its window (unless
+// ignoreExpiry) and for the scanning gate's zone. Throws httpError otherwise.
+function verifyScannedCode(qrCode, { zoneId, ignoreExpiry = false, at = new Date() } = {}) {
+  const verification = verifyQRToken(qrCode, { zoneId, ignoreExpiry, now: at });
 
-const loginValidation = [
-  body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty(),
-  body('role').isIn(['student', 'staff', 'admin', 'visitor'])
-];
+  if (!verification.valid) {
+    throw httpError(verification.reason === 'wrong-zone' ? 403 : 400, verification.message, {
+      reason: verification.reason,
+    });
+  }
 
-const bookingValidation = [
-  body('userId').isMongoId(),
-  body('zoneId').isMongoId(),
-  body('zoneName').trim().notEmpty(),
-  body('date').isISO8601(),
-  body('duration').isInt({ min: 1, max: 24 }),
-  body('vehicleNumber').optional().trim().isLength({ max: 20 })
-];
+  return verification;
+}
 
-// ===== AUTH ROUTES =====
+// Load the booking for a verified booking QR token, which must still be the
+// booking's current code
+async function resolveScannedBooking(qrCode, verification) {
+  const booking = await Booking.findById(verification.bookingId);
 
-app.post('/api/auth/signup', signupValidation, handleValidationErrors, async (req, res) => {
-  try {
-    const { name, email, password, role, phone, vehicleNumber } = req.body;
+  if (!booking || booking.qrCode !== qrCode) {
+    throw httpError(404, 'QR code is no longer valid for this booking', { reason: 'superseded' });
+  }
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ success: false, message: 'Email already registered' });
+  return booking;
+}
+
+// ===== PARKING SPACE HELPERS =====
+
+// Create any missing numbered spaces so a zone has one space per slot
+async function syncZoneSpaces(zone, session = null) {
+  const existing = await ParkingSpace.find({ zoneId: zone._id }).select('number').session(session);
+  const numbers = new Set(existing.map(space => space.number));
+
+  const missing = [];
+  for (let number = 1; number <= zone.totalSlots; number++) {
+    if (!numbers.has(number)) {
+      missing.push({ zoneId: zone._id, number });
     }
+  }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+  if (missing.length > 0) {
+    await ParkingSpace.insertMany(missing, { session });
+  }
 
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role,
-      phone,
-      vehicleNumber,
-    });
+  return missing.length;
+}
 
-    await user.save();
+// Number of bookable slots in a zone: total slots minus spaces disabled for maintenance
+async function getZoneCapacity(zone, session = null) {
+  const disabled = await ParkingSpace.countDocuments({
+    zoneId: zone._id,
+    isDisabled: true,
+    number: { $lte: zone.totalSlots },
+  }).session(session);
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role }, 
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+  return Math.max(0, zone.totalSlots - disabled);
+}
 
-    await Notification.create({
-      userId: user._id,
-      title: 'Welcome to Campus Parking!',
-      message: 'Your account has been created successfully',
-      type: 'success',
-    });
+// Find the lowest-numbered enabled space in a zone that is not assigned to an
+// overlapping active booking or held by a vehicle parked past its booking,
+// optionally restricted to a space or feature set
+async function findFreeSpace(zoneId, start, end, options = {}, session = null) {
+  const { features = [], spaceId = null, excludeBookingId = null } = options;
 
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        vehicleNumber: user.vehicleNumber,
-      },
-      token,
-    });
-  } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({ success: false, message: 'Server error during signup' });
-  }
-});
+  const spaceFilter = { zoneId, isDisabled: false };
+  if (features.length > 0) spaceFilter.features = { $all: features };
+  if (spaceId) spaceFilter._id = spaceId;
 
-app.post('/api/auth/login', loginValidation, handleValidationErrors, async (req, res) => {
-  try {
-    const { email, password, role } = req.body;
+  const bookingFilter = {
+    zoneId,
+    status: 'active',
+    spaceId: { $ne: null },
+    ...occupancyQuery(start, end),
+  };
+  if (excludeBookingId) bookingFilter._id = { $ne: excludeBookingId };
 
-    // Explicitly select password field since it's set to select: false in the model
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(400).json({ success: false, message: 'Invalid credentials' });
-    }
+  const spaces = await ParkingSpace.find(spaceFilter).sort({ number: 1 }).session(session);
+  const taken = await Booking.distinct('spaceId', bookingFilter).session(session);
+  const takenIds = new Set(taken.map(id => id.toString()));
 
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(400).json({ success: false, message: 'Invalid credentials' });
-    }
+  return spaces.find(space => !takenIds.has(space._id.toString())) || null;
+}
 
-    if (user.role !== role) {
-      return res.status(400).json({ success: false, message: 'Invalid role selected' });
-    }
+// ===== BOOKING HELPERS =====
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role }, 
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+// Build an Error carrying the HTTP status a route should respond with.
+// Details are merged into the JSON error response.
+function httpError(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
 
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        vehicleNumber: user.vehicleNumber,
-      },
-      token,
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ success: false, message: 'Server error during login' });
-  }
-});
+// ===== PAYMENT HELPERS =====
 
-// ===== PARKING ZONE ROUTES =====
+const paymentProvider = getPaymentProvider();
 
-app.get('/api/zones', async (req, res) => {
-  try {
-    const zones = await Zone.find();
-    
-    const zonesWithAvailability = await Promise.all(
-      zones.map(async (zone) => {
-        const startOfDay = new Date();
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date();
-        endOfDay.setHours(23, 59, 59, 999);
+// Take a payment (positive amount) or issue a refund (negative amount)
+// through the payment provider and record it in the ledger, against either
+// a booking or a permit
+async function recordTransaction({ userId, booking, permit, type, amount, description }, session = null) {
+  const rounded = roundCurrency(amount);
+  if (rounded === 0) return null;
 
-        const activeBookings = await Booking.countDocuments({
-          zoneId: zone._id,
-          status: 'active',
-          date: { $gte: startOfDay, $lte: endOfDay },
-        });
+  const subject = booking || permit;
 
-        // Calculate total event slot allocations for this zone
-        const eventAllocations = await Event.aggregate([
-          { 
-            $match: { 
-              zoneId: zone._id,
-              date: { $gte: startOfDay }
-            } 
-          },
-          { 
-            $group: { 
-              _id: null, 
-              total: { $sum: '$allocatedSlots' } 
-            } 
-          }
-        ]);
-        const totalEventSlots = eventAllocations.length > 0 ? eventAllocations[0].total : 0;
+  const request = {
+    amount: Math.abs(rounded),
+    currency: 'USD',
+    reference: subject._id.toString(),
+    description,
+  };
 
-        return {
-          id: zone._id,
-          name: zone.name,
-          code: zone.code,
-          total: zone.totalSlots,
-          available: Math.max(0, zone.totalSlots - activeBookings - totalEventSlots),
-          type: zone.type,
-          location: zone.location?.address || zone.location,
-        };
-      })
-    );
+  const result = rounded > 0
+    ? await paymentProvider.charge(request)
+    : await paymentProvider.refund(request);
 
-    res.json(zonesWithAvailability);
-  } catch (error) {
-    console.error('Get zones error:', error);
-    res.status(500).json({ success: false, message: 'Server error fetching zones' });
+  if (!result.success) {
+    console.error(`Payment ${type} failed for ${booking ? 'booking' : 'permit'} ${subject._id}:`, result.message);
+    throw httpError(402, result.message || 'Payment failed');
   }
-});
 
-app.get('/api/zones/:zoneId/availability', async (req, res) => {
-  try {
-    const { zoneId } = req.params;
-    const { date } = req.query;
+  // The ledger row below only exists if the transaction commits, so keep
+  // the provider side on the session for rollbackTransaction to reverse
+  if (session) {
+    session.providerPayments = (session.providerPayments || [])
+      .concat({ ...request, amount: rounded, providerReference: result.reference });
+  }
+
+  const [transaction] = await Transaction.create([{
+    userId,
+    bookingId: booking && booking._id,
+    permitId: permit && permit._id,
+    zoneId: subject.zoneId,
+    type,
+    amount: rounded,
+    provider: paymentProvider.name,
+    providerReference: result.reference,
+    description,
+  }], { session });
+
+  subject.totalAmount = roundCurrency((subject.totalAmount || 0) + rounded);
+
+  return transaction;
+}
+
+// Commit a transaction; the payments recorded in it are now final
+async function commitTransaction(session) {
+  await session.commitTransaction();
+  session.providerPayments = [];
+}
+
+// Abort a transaction (if the failure wasn't the commit itself) and refund
+// the charges recordTransaction took through the provider inside it.
+// Provider refunds can't be taken back, so those are only logged.
+async function rollbackTransaction(session) {
+  if (session.inTransaction()) {
+    await session.abortTransaction();
+  }
+
+  const payments = session.providerPayments || [];
+  session.providerPayments = [];
+
+  for (const payment of payments) {
+    if (payment.amount < 0) {
+      console.error(`Refund ${payment.providerReference} for ${payment.reference} was issued in a transaction that did not commit`);
+      continue;
+    }
+
+    try {
+      const result = await paymentProvider.refund({
+        amount: payment.amount,
+        currency: payment.currency,
+        reference: payment.providerReference,
+        description: `Reversal: ${payment.description}`,
+      });
+      if (!result.success) {
+        console.error(`Reversing charge ${payment.providerReference} for ${payment.reference} failed:`, result.message);
+      }
+    } catch (error) {
+      console.error(`Reversing charge ${payment.providerReference} for ${payment.reference} failed:`, error);
+    }
+  }
+}
+
+// Refund a cancelled booking according to the refund policy
+async function refundBooking(booking, { cancelledByAdmin = false } = {}, session = null) {
+  const amountPaid = await Transaction.netPaidForBooking(booking._id, session);
+  const refund = calculateRefund(booking, amountPaid, { cancelledByAdmin });
+
+  await recordTransaction({
+    userId: booking.userId,
+    booking,
+    type: 'refund',
+    amount: -refund,
+    description: `Refund for cancelled booking at ${booking.zoneName}`,
+  }, session);
+
+  return refund;
+}
+
+// ===== PRICING HELPERS =====
+
+// Price a window in a zone for a user role using the zone's active pricing
+// rules and any events held in the zone on the days it covers
+async function getPriceQuote(zone, role, startTime, endTime, session = null) {
+  const rules = zone._id
+    ? await PricingRule.find({ zoneId: zone._id, isActive: true }).session(session)
+    : [];
+
+  const firstDay = new Date(startTime);
+  firstDay.setHours(0, 0, 0, 0);
+
+  const events = zone._id
+    ? await Event.find({
+      isActive: true,
+      $or: [{ zoneId: zone._id }, { 'allocatedZones.zone': zone._id }],
+      date: { $gte: firstDay, $lt: endTime },
+    }).select('date').session(session)
+    : [];
+
+  return quotePrice({ zone, rules, events, role, startTime, endTime });
+}
+
+// Extra charge for moving a booking's end time out to newEnd. The whole
+// booking is repriced so daily caps account for the hours already paid for.
+async function getExtensionCharge(zone, role, booking, newEnd, session = null) {
+  const start = booking.startTime || booking.endTime;
+  // One after the other: a session can't run queries in parallel
+  const current = await getPriceQuote(zone, role, start, booking.endTime, session);
+  const extended = await getPriceQuote(zone, role, start, newEnd, session);
+  return roundCurrency(extended.total - current.total);
+}
+
+// ===== ACCESS POLICY HELPERS =====
+
+// Zone types each role could book before access policies were editable.
+// Seeded as the starting policies when there are none.
+const DEFAULT_ACCESS_POLICIES = [
+  { name: 'Student parking', zoneType: 'student', roles: ['student', 'staff', 'admin'] },
+  { name: 'Staff parking', zoneType: 'staff', roles: ['staff', 'admin'] },
+  { name: 'Visitor parking', zoneType: 'visitor', roles: ['visitor', 'admin'] },
+  { name: 'General parking', zoneType: 'general', roles: [] },
+  { name: 'Event parking', zoneType: 'event', roles: ['admin'] },
+];
+
+function formatPolicySummary(policy) {
+  return { id: policy._id, name: policy.name, effect: policy.effect };
+}
+
+// Check the zone's access policies allow user to park there, for the
+// booking window when there is one (leaving out excludeBookingId when
+// counting their concurrent bookings). Throws an httpError naming the policy
+// that refused the request.
+async function checkZoneAccess(user, zone, { startTime, endTime, excludeBookingId } = {}, session = null) {
+  const policies = await AccessPolicy.find({
+    isActive: true,
+    $or: [{ zoneId: zone._id }, { zoneId: null }],
+  }).session(session);
+
+  const subject = { id: user.id, role: user.role, department: user.department };
+  if (subject.department === undefined && policies.some(policy => policy.departments.length > 0)) {
+    const profile = await User.findById(user.id).select('department').session(session);
+    subject.department = profile && profile.department;
+  }
+
+  const decision = evaluateAccess({ policies, user: subject, zone, startTime, endTime });
+  const roleName = `${user.role.charAt(0).toUpperCase() + user.role.slice(1)}s`;
+
+  if (decision.reason === 'no-policy') {
+    throw httpError(403, `${roleName} are not allowed to park in ${zone.name}`, { reason: 'no-policy', policy: null });
+  }
+
+  const { policy } = decision;
+  const details = { reason: decision.reason, policy: formatPolicySummary(policy) };
+
+  if (decision.reason === 'outside-window') {
+    throw httpError(403, `Access policy "${policy.name}" only allows you to park in ${zone.name} ${describeTimeWindow(policy)}`, details);
+  }
+  if (!decision.allowed) {
+    const during = hasTimeWindow(policy) ? ` ${describeTimeWindow(policy)}` : '';
+    throw httpError(403, `Access policy "${policy.name}" does not allow you to park in ${zone.name}${during}`, details);
+  }
+
+  if (policy.maxConcurrentBookings && startTime && endTime) {
+    const filter = {
+      userId: user.id,
+      status: 'active',
+      visitorId: null,
+      ...overlapQuery(startTime, endTime),
+    };
+    if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+    if (policy.zoneId) {
+      filter.zoneId = policy.zoneId;
+    } else if (policy.zoneType) {
+      filter.zoneId = { $in: await Zone.find({ type: policy.zoneType }).distinct('_id').session(session) };
+    }
+
+    const bookings = await Booking.find(filter).select('startTime endTime').session(session);
+    const current = peakOccupancy(bookings, startTime, endTime);
+
+    if (current >= policy.maxConcurrentBookings) {
+      throw httpError(400, `Access policy "${policy.name}" allows at most ${policy.maxConcurrentBookings} booking${policy.maxConcurrentBookings === 1 ? '' : 's'} at a time`, {
+        ...details,
+        reason: 'max-concurrent',
+        limit: policy.maxConcurrentBookings,
+        current,
+      });
+    }
+  }
+}
+
+// The defaults are seeded once per database, so an admin who deletes every
+// policy to lock zones down doesn't get them back on the next restart
+async function seedAccessPolicies() {
+  if (await Migration.exists({ name: 'default-access-policies' })) return;
+
+  // Databases that already have policies were seeded before the marker existed
+  if (await AccessPolicy.countDocuments() === 0) {
+    await AccessPolicy.insertMany(DEFAULT_ACCESS_POLICIES.map(policy => ({ ...policy, effect: 'allow' })));
+    console.log('✓ Default zone access policies created');
+  }
+
+  await Migration.create({ name: 'default-access-policies' });
+}
+
+// ===== QUOTA HELPERS =====
+
+const QUOTA_FIELDS = ['maxActiveBookings', 'maxHoursPerWeek', 'maxAdvanceDays', 'minLeadMinutes'];
+
+// A role's limits; null is unlimited, and roles an admin hasn't set limits
+// for have none
+async function getBookingQuota(role, session = null) {
+  const limits = await BookingQuota.findOne({ role }).session(session) || {};
+
+  const quota = { role };
+  QUOTA_FIELDS.forEach((field) => {
+    quota[field] = limits[field] === undefined ? null : limits[field];
+  });
+  return quota;
+}
+
+// Weeks run Monday to Sunday
+function startOfWeek(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Bookings that count towards a user's quota: their own parking, not the
+// guests they host or their permit visits
+function quotaBookingFilter(userId, excludeBookingId = null) {
+  const filter = { userId, visitorId: null, permitId: null };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+  return filter;
+}
+
+// Hours of the user's bookings that fall inside [start, end)
+async function getBookedHours(userId, start, end, session = null, excludeBookingId = null) {
+  const bookings = await Booking.find({
+    ...quotaBookingFilter(userId, excludeBookingId),
+    status: { $ne: 'cancelled' },
+    ...overlapQuery(start, end),
+  }).select('startTime endTime').session(session);
+
+  return bookings.reduce((hours, booking) => hours +
+    (Math.min(booking.endTime, end) - Math.max(booking.startTime, start)) / HOUR_MS, 0);
+}
+
+// What a user has used of their quota, for the week containing `at`
+async function getQuotaUsage(userId, at = new Date(), session = null) {
+  const weekStart = startOfWeek(at);
+  const weekEnd = addDays(weekStart, 7);
+
+  const activeBookings = await Booking.countDocuments({
+    ...quotaBookingFilter(userId),
+    status: 'active',
+    endTime: { $gt: new Date() },
+  }).session(session);
+  const hoursThisWeek = await getBookedHours(userId, weekStart, weekEnd, session);
+
+  return { activeBookings, hoursThisWeek: Math.round(hoursThisWeek * 100) / 100, weekStart, weekEnd };
+}
+
+function formatQuota(quota, usage) {
+  const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+  return {
+    role: quota.role,
+    limits: {
+      maxActiveBookings: quota.maxActiveBookings,
+      maxHoursPerWeek: quota.maxHoursPerWeek,
+      maxAdvanceDays: quota.maxAdvanceDays,
+      minLeadMinutes: quota.minLeadMinutes,
+    },
+    usage,
+    remaining: {
+      activeBookings: remaining(quota.maxActiveBookings, usage.activeBookings),
+      hoursThisWeek: remaining(quota.maxHoursPerWeek, usage.hoursThisWeek),
+    },
+  };
+}
+
+// Check the user's role quota allows a new booking for [startTime, endTime),
+// or with extension, adding that window to the end of an existing booking.
+// A booking being moved is passed as excludeBookingId so its old window
+// doesn't count. Throws an httpError carrying the quota and the user's usage.
+async function enforceBookingQuota(user, { startTime, endTime, extension = false, excludeBookingId = null }, session = null) {
+  const quota = await getBookingQuota(user.role, session);
+
+  const quotaError = async (message, limit) => {
+    const usage = await getQuotaUsage(user.id, startTime, session);
+    return httpError(400, message, { reason: 'quota', limit, quota: formatQuota(quota, usage) });
+  };
+
+  if (!extension) {
+    const leadMs = startTime.getTime() - Date.now();
+
+    if (quota.minLeadMinutes !== null && leadMs < quota.minLeadMinutes * 60 * 1000) {
+      throw await quotaError(`Bookings must be made at least ${quota.minLeadMinutes} minutes before they start`, 'minLeadMinutes');
+    }
+
+    if (quota.maxAdvanceDays !== null && leadMs > quota.maxAdvanceDays * DAY_MS) {
+      throw await quotaError(`Bookings can start at most ${quota.maxAdvanceDays} days ahead`, 'maxAdvanceDays');
+    }
+
+    if (quota.maxActiveBookings !== null) {
+      const active = await Booking.countDocuments({
+        ...quotaBookingFilter(user.id, excludeBookingId),
+        status: 'active',
+        endTime: { $gt: new Date() },
+      }).session(session);
+
+      if (active >= quota.maxActiveBookings) {
+        throw await quotaError(`You already have ${active} active bookings, the most your account can hold`, 'maxActiveBookings');
+      }
+    }
+  }
+
+  // A window can run into the next week, so check each week it touches
+  if (quota.maxHoursPerWeek !== null) {
+    for (let weekStart = startOfWeek(startTime); weekStart < endTime; weekStart = addDays(weekStart, 7)) {
+      const weekEnd = addDays(weekStart, 7);
+      const booked = await getBookedHours(user.id, weekStart, weekEnd, session, excludeBookingId);
+      const adding = (Math.min(endTime, weekEnd) - Math.max(startTime, weekStart)) / HOUR_MS;
+
+      if (booked + adding > quota.maxHoursPerWeek) {
+        throw await quotaError(
+          `You can book at most ${quota.maxHoursPerWeek} hours a week and have ${Math.round(booked * 100) / 100} booked in the week of ${weekStart.toDateString()}`,
+          'maxHoursPerWeek'
+        );
+      }
+    }
+  }
+}
+
+// ===== BOOKING CREATION =====
+
+// Run the access, quota, overlap and capacity checks for one booking, assign it a
+// space and save it. Shared by single and recurring bookings; throws an
+// httpError when the booking is not allowed.
+//
+// With a visitor the booking is made by user (the host) for a pre-registered
+// guest: it must be in a visitor zone, is for the guest's plate rather than
+// one of the host's vehicles, and is priced at the visitor rate.
+//
+// With an event the booking takes one of the slots the event reserved in the
+// zone instead of general capacity, and must fall inside the event's window.
+async function createBooking(options, session = null) {
+  const { user, zone, startTime, duration, vehicleId, vehicleNumber, spaceId, spaceFeatures, seriesId, holdId, visitor, event } = options;
+  const zoneName = options.zoneName || zone.name;
+
+  const endTime = new Date(startTime.getTime() + duration * HOUR_MS);
+
+  if (visitor) {
+    if (zone.type !== 'visitor') {
+      throw httpError(400, 'Guests can only be booked into visitor parking zones');
+    }
+  } else if (!event) {
+    await checkZoneAccess(user, zone, { startTime, endTime }, session);
+  }
+  if (!visitor) {
+    await enforceBookingQuota(user, { startTime, endTime }, session);
+  }
+  await checkBookingBan(user.id, session);
+  const vehicle = visitor
+    ? { _id: undefined, plate: visitor.plate }
+    : await resolveBookingVehicle(user.id, { vehicleId, vehicleNumber }, session);
+
+  if (endTime <= new Date()) {
+    throw httpError(400, 'Booking window has already ended');
+  }
+
+  if (event) {
+    await claimEventSlot(event, zone, startTime, endTime, session);
+  }
+
+  // Check for an existing booking by this user for the same zone and time
+  // window; hosts may register several guests at once
+  const existingBooking = visitor ? null : await Booking.findOne({
+    userId: user.id,
+    zoneId: zone._id,
+    status: 'active',
+    ...overlapQuery(startTime, endTime),
+  }).session(session);
+
+  if (existingBooking) {
+    throw httpError(400, 'You already have an active booking for this zone in this time window');
+  }
+
+  // Event bookings were already counted against the event's reservation
+  if (!event) {
+    const activeBookings = await countPeakBookings(zone._id, startTime, endTime, session, { excludeHoldId: holdId });
+    const capacity = await getZoneCapacity(zone, session);
+
+    if (activeBookings >= capacity) {
+      throw httpError(400, 'No slots available for this time window', { canJoinWaitlist: true });
+    }
+  }
+
+  // Assign a specific space that stays free for the whole window
+  const space = await findFreeSpace(zone._id, startTime, endTime, {
+    features: spaceFeatures,
+    spaceId,
+  }, session);
+
+  if (!space) {
+    throw httpError(400, spaceId || (spaceFeatures && spaceFeatures.length > 0)
+      ? 'No space matching your request is free for this time window'
+      : 'No single space is free for the whole time window');
+  }
+
+  const booking = new Booking({
+    userId: user.id,
+    zoneId: zone._id,
+    zoneName,
+    spaceId: space._id,
+    spaceNumber: space.number,
+    seriesId,
+    date: options.date || startTime,
+    startTime: startTime,
+    endTime: endTime,
+    duration,
+    vehicleId: vehicle._id,
+    vehicleNumber: vehicle.plate,
+    eventId: event && event._id,
+    visitorId: visitor && visitor._id,
+    status: 'active',
+  });
+  booking.qrCode = generateQRCode(booking);
+
+  const quote = await getPriceQuote(zone, visitor ? 'visitor' : user.role, startTime, endTime, session);
+
+  await recordTransaction({
+    userId: user.id,
+    booking,
+    type: 'charge',
+    amount: quote.total,
+    description: `Parking at ${zoneName} for ${duration} hours`,
+  }, session);
+
+  await booking.save({ session });
+
+  return booking;
+}
+
+// ===== BOOKING CHANGE HELPERS =====
+
+// The space a booking can keep (or, before check-in, move to) if its end
+// moves out to newEnd, or null when there is no room. Users still waiting
+// on the waitlist count as taking room, so an extension can't jump the queue
+// for a slot they are waiting on. Event bookings only need a space: the
+// event's reservation already covers them.
+async function findExtensionSpace(booking, zone, capacity, newEnd, session = null) {
+  if (!booking.eventId) {
+    const peak = await countPeakBookings(zone._id, booking.endTime, newEnd, session, { includeWaiting: true });
+    if (peak >= capacity) return null;
+  }
+
+  if (booking.spaceId) {
+    const sameSpace = await findFreeSpace(zone._id, booking.endTime, newEnd, {
+      spaceId: booking.spaceId,
+      excludeBookingId: booking._id,
+    }, session);
+    if (sameSpace) return sameSpace;
+  }
+
+  // A parked car can't be moved to another space
+  if (booking.checkInTime) return null;
+
+  return findFreeSpace(zone._id, booking.startTime, newEnd, { excludeBookingId: booking._id }, session);
+}
+
+// Check a booking can be extended by `hours` and return the space it will
+// use. Otherwise throws an httpError with the longest extension that would
+// fit as suggestedMaxHours.
+async function planExtension(booking, zone, hours, session = null) {
+  let maxHours = hours;
+  let reason = 'capacity';
+  let message = `${zone.name} doesn't have room to extend this booking by ${hours} hours`;
+
+  // Event bookings must stay inside the event's window
+  if (booking.eventId) {
+    const event = await Event.findById(booking.eventId).session(session);
+    const window = event ? getEventWindow(event) : null;
+    const hoursLeft = window ? Math.max(0, Math.floor((window.end - booking.endTime) / HOUR_MS)) : 0;
+
+    if (hoursLeft < hours) {
+      maxHours = hoursLeft;
+      reason = 'event-window';
+      message = event
+        ? `Event parking for ${event.name} ends at ${window.end.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`
+        : 'The event for this booking no longer exists';
+    }
+  }
+
+  const capacity = await getZoneCapacity(zone, session);
+  const extendBy = h => findExtensionSpace(booking, zone, capacity, new Date(booking.endTime.getTime() + h * HOUR_MS), session);
+
+  if (maxHours === hours) {
+    const space = await extendBy(hours);
+    if (space) return space;
+    maxHours = hours - 1;
+  }
+
+  // Room only shrinks as the window grows, so stop at the first that fails
+  let suggestedMaxHours = 0;
+  for (let h = 1; h <= maxHours; h++) {
+    if (!(await extendBy(h))) break;
+    suggestedMaxHours = h;
+  }
+
+  if (reason === 'capacity' && suggestedMaxHours > 0) {
+    message += `; it can be extended by up to ${suggestedMaxHours} hour${suggestedMaxHours === 1 ? '' : 's'}`;
+  }
+
+  throw httpError(400, message, { reason, suggestedMaxHours });
+}
+
+// Move an active booking to another zone, time window, space or vehicle.
+// The new window goes through the same ban, access, quota, overlap and
+// capacity checks as a new booking, with the booking itself left out of
+// them, and is repriced against what has been paid. The space is kept when
+// it is still free. The QR code carries the zone and window, so it is
+// reissued when either changes. Returns { previous, charge, windowChanged }.
+async function modifyBooking(booking, user, changes, session = null) {
+  const { zone, startTime, duration, vehicleId, vehicleNumber, spaceId, spaceFeatures } = changes;
+  const endTime = new Date(startTime.getTime() + duration * HOUR_MS);
+  const sameZone = zone._id.toString() === booking.zoneId.toString();
+  const windowChanged = !sameZone ||
+    startTime.getTime() !== booking.startTime.getTime() ||
+    endTime.getTime() !== booking.endTime.getTime();
+  const spaceRequested = Boolean(spaceId) || Boolean(spaceFeatures && spaceFeatures.length > 0);
+
+  const previous = {
+    zoneId: booking.zoneId,
+    zoneName: booking.zoneName,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    spaceNumber: booking.spaceNumber,
+    vehicleNumber: booking.vehicleNumber,
+  };
+
+  if (windowChanged) {
+    if (endTime <= new Date()) {
+      throw httpError(400, 'Booking window has already ended');
+    }
+
+    await checkBookingBan(user.id, session);
+    await checkZoneAccess(user, zone, { startTime, endTime, excludeBookingId: booking._id }, session);
+    await enforceBookingQuota(user, { startTime, endTime, excludeBookingId: booking._id }, session);
+
+    const existingBooking = await Booking.findOne({
+      _id: { $ne: booking._id },
+      userId: user.id,
+      zoneId: zone._id,
+      status: 'active',
+      ...overlapQuery(startTime, endTime),
+    }).session(session);
+
+    if (existingBooking) {
+      throw httpError(400, 'You already have an active booking for this zone in this time window');
+    }
+
+    const activeBookings = await countPeakBookings(zone._id, startTime, endTime, session, { excludeBookingId: booking._id });
+    const capacity = await getZoneCapacity(zone, session);
+
+    if (activeBookings >= capacity) {
+      throw httpError(400, 'No slots available for this time window', { canJoinWaitlist: true });
+    }
+  }
+
+  const vehicle = vehicleId || vehicleNumber
+    ? await resolveBookingVehicle(user.id, { vehicleId, vehicleNumber }, session)
+    : null;
+
+  if (windowChanged || spaceRequested) {
+    let space = null;
+    if (sameZone && !spaceRequested && booking.spaceId) {
+      space = await findFreeSpace(zone._id, startTime, endTime, {
+        spaceId: booking.spaceId,
+        excludeBookingId: booking._id,
+      }, session);
+    }
+    if (!space) {
+      space = await findFreeSpace(zone._id, startTime, endTime, {
+        features: spaceFeatures,
+        spaceId,
+        excludeBookingId: booking._id,
+      }, session);
+    }
+
+    if (!space) {
+      throw httpError(400, spaceRequested
+        ? 'No space matching your request is free for this time window'
+        : 'No single space is free for the whole time window');
+    }
+
+    booking.spaceId = space._id;
+    booking.spaceNumber = space.number;
+  }
+
+  let charge = 0;
+  if (windowChanged) {
+    const quote = await getPriceQuote(zone, user.role, startTime, endTime, session);
+    charge = roundCurrency(quote.total - (booking.totalAmount || 0));
+
+    booking.zoneId = zone._id;
+    booking.zoneName = zone.name;
+    booking.date = startTime;
+    booking.startTime = startTime;
+    booking.endTime = endTime;
+    booking.duration = duration;
+    booking.qrCode = generateQRCode(booking);
+
+    await recordTransaction({
+      userId: booking.userId,
+      booking,
+      type: 'adjustment',
+      amount: charge,
+      description: `Booking moved to ${zone.name} for ${duration} hours`,
+    }, session);
+  }
+
+  if (vehicle) {
+    booking.vehicleId = vehicle._id;
+    booking.vehicleNumber = vehicle.plate;
+  }
+
+  await booking.save({ session });
+
+  return { previous, charge, windowChanged };
+}
+
+// ===== EVENT HELPERS =====
+
+// Time window an event's parking covers. Events without start and end times
+// take the whole day.
+function getEventWindow(event) {
+  if (event.startTime && event.endTime) {
+    return { start: event.startTime, end: event.endTime };
+  }
+
+  const start = new Date(event.date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(event.date);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+}
+
+// Slots an event reserves in each zone, as [{ zoneId, allocatedSlots }].
+// Older single-zone events only set zoneId and allocatedSlots.
+function getEventZoneAllocations(event) {
+  if (event.allocatedZones && event.allocatedZones.length > 0) {
+    return event.allocatedZones
+      .filter(allocation => allocation.zone)
+      .map(allocation => ({ zoneId: allocation.zone, allocatedSlots: allocation.allocatedSlots || 0 }));
+  }
+
+  return event.zoneId ? [{ zoneId: event.zoneId, allocatedSlots: event.allocatedSlots }] : [];
+}
+
+// Read an event's zone allocations from a request body: either
+// allocatedZones [{ zoneId, allocatedSlots }] or a single zoneId with
+// allocatedSlots. Throws an httpError for malformed input.
+function parseEventAllocations(body) {
+  if (Array.isArray(body.allocatedZones) && body.allocatedZones.length > 0) {
+    const allocations = body.allocatedZones.map(entry => ({
+      zoneId: entry.zoneId || entry.zone,
+      allocatedSlots: parseInt(entry.allocatedSlots),
+    }));
+
+    allocations.forEach((allocation) => {
+      if (!mongoose.Types.ObjectId.isValid(allocation.zoneId)) {
+        throw httpError(400, 'Each allocated zone needs a valid zoneId');
+      }
+      if (isNaN(allocation.allocatedSlots) || allocation.allocatedSlots <= 0) {
+        throw httpError(400, 'allocatedSlots must be a positive number for each zone');
+      }
+    });
+
+    const zoneIds = allocations.map(allocation => allocation.zoneId.toString());
+    if (new Set(zoneIds).size !== zoneIds.length) {
+      throw httpError(400, 'A zone can only be allocated once per event');
+    }
+
+    return allocations;
+  }
+
+  if (body.zoneId && mongoose.Types.ObjectId.isValid(body.zoneId)) {
+    const allocatedSlots = parseInt(body.allocatedSlots);
+    if (isNaN(allocatedSlots) || allocatedSlots <= 0) {
+      throw httpError(400, 'allocatedSlots must be a positive number');
+    }
+    return [{ zoneId: body.zoneId, allocatedSlots }];
+  }
+
+  return [];
+}
+
+// Check every zone in an event's allocations exists and has the slots free
+// for the whole event window, on top of existing bookings and other
+// reservations (leaving out the event's own when it is being edited).
+// Returns the zone documents in allocation order.
+async function validateEventAllocations(allocations, window, session = null, { excludeEventId = null } = {}) {
+  const zones = [];
+
+  for (const allocation of allocations) {
+    const zone = await Zone.findById(allocation.zoneId).session(session);
+    if (!zone) {
+      throw httpError(400, 'Selected zone does not exist', { zoneId: allocation.zoneId });
+    }
+
+    const occupied = await countPeakBookings(zone._id, window.start, window.end, session, { excludeEventId });
+    const capacity = await getZoneCapacity(zone, session);
+    const available = Math.max(0, capacity - occupied);
+
+    if (available < allocation.allocatedSlots) {
+      throw httpError(400, `Not enough available slots in ${zone.name}. Available: ${available}, Requested: ${allocation.allocatedSlots}`, {
+        zoneId: zone._id,
+        available,
+        requested: allocation.allocatedSlots,
+      });
+    }
+
+    zones.push(zone);
+  }
+
+  return zones;
+}
+
+// Read an event's window from a request body, falling back to the event's
+// current values. Throws an httpError when the times are invalid.
+function parseEventWindow(body, current = {}) {
+  const date = body.date !== undefined ? new Date(body.date) : current.date;
+  const startTime = body.startTime !== undefined ? (body.startTime && new Date(body.startTime)) : current.startTime;
+  const endTime = body.endTime !== undefined ? (body.endTime && new Date(body.endTime)) : current.endTime;
+
+  if (!date || isNaN(date.getTime())) {
+    throw httpError(400, 'Invalid event date');
+  }
+
+  if (Boolean(startTime) !== Boolean(endTime)) {
+    throw httpError(400, 'startTime and endTime must be given together');
+  }
+
+  if (startTime && (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || endTime <= startTime)) {
+    throw httpError(400, 'endTime must be after startTime');
+  }
+
+  return { date, startTime: startTime || undefined, endTime: endTime || undefined };
+}
+
+// Bookings that hold one of an event's slots
+function eventBookingQuery(eventId, extra = {}) {
+  return { eventId, status: { $ne: 'cancelled' }, ...extra };
+}
+
+// Take one of the slots an event reserved in a zone for a booking between
+// startTime and endTime, incrementing the event's bookedSlots. Throws an
+// httpError when the zone or window is outside the event or no slot is left.
+async function claimEventSlot(event, zone, startTime, endTime, session = null) {
+  const allocation = getEventZoneAllocations(event)
+    .find(entry => entry.zoneId.toString() === zone._id.toString());
+
+  if (!event.isActive) {
+    throw httpError(400, `${event.name} is no longer taking registrations`);
+  }
+
+  if (!allocation) {
+    throw httpError(400, `${zone.name} is not one of the parking zones for ${event.name}`);
+  }
+
+  const window = getEventWindow(event);
+  if (startTime < window.start || endTime > window.end) {
+    throw httpError(400, `Event parking must be between ${window.start.toISOString()} and ${window.end.toISOString()}`, {
+      eventStart: window.start,
+      eventEnd: window.end,
+    });
+  }
+
+  const zoneBookings = await Booking.countDocuments(eventBookingQuery(event._id, { zoneId: zone._id })).session(session);
+  if (zoneBookings >= allocation.allocatedSlots) {
+    throw httpError(400, `No event parking left in ${zone.name}`);
+  }
+
+  const claimed = await Event.findOneAndUpdate(
+    { _id: event._id, isActive: true, $expr: { $lt: ['$bookedSlots', '$allocatedSlots'] } },
+    { $inc: { bookedSlots: 1 } },
+    { new: true, session }
+  );
+
+  if (!claimed) {
+    throw httpError(400, `${event.name} parking is fully booked`);
+  }
+
+  event.bookedSlots = claimed.bookedSlots;
+}
+
+// Give an event booking's slot back to the event
+async function releaseEventSlot(booking, session = null) {
+  if (!booking.eventId) return;
+
+  await Event.updateOne(
+    { _id: booking.eventId, bookedSlots: { $gt: 0 } },
+    { $inc: { bookedSlots: -1 } },
+    { session }
+  );
+}
+
+// Fit an event's active bookings to its current window and zone allocations
+// after an edit. Bookings that covered the whole old window cover the whole
+// new one, others shift with the event's start. Attendees keep their zone
+// and space where possible, otherwise move to another of the event's zones;
+// bookings that no longer fit anywhere are cancelled with a full refund.
+// Checked-in attendees are already parked and are left alone.
+// Returns { moved, cancelled } (cancelled entries are { booking, refund }).
+async function rearrangeEventBookings(event, previousWindow, session = null) {
+  const window = getEventWindow(event);
+  const allocations = getEventZoneAllocations(event);
+  const remaining = new Map(allocations.map(allocation => [allocation.zoneId.toString(), allocation.allocatedSlots]));
+  const zones = await Zone.find({ _id: { $in: allocations.map(allocation => allocation.zoneId) } }).session(session);
+
+  const bookings = await Booking.find({ eventId: event._id, status: 'active' })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  bookings.filter(booking => booking.checkInTime).forEach((booking) => {
+    const zoneId = booking.zoneId.toString();
+    if (remaining.has(zoneId)) remaining.set(zoneId, remaining.get(zoneId) - 1);
+  });
+
+  const pending = bookings.filter(booking => !booking.checkInTime);
+
+  // Free the spaces of the bookings being rearranged so they don't block each other
+  await Booking.updateMany(
+    { _id: { $in: pending.map(booking => booking._id) } },
+    { $set: { spaceId: null } },
+    { session }
+  );
+
+  const moved = [];
+  const cancelled = [];
+  const shift = window.start.getTime() - previousWindow.start.getTime();
+
+  for (const booking of pending) {
+    const before = {
+      zoneId: booking.zoneId.toString(),
+      spaceId: booking.spaceId ? booking.spaceId.toString() : null,
+      startTime: booking.startTime.getTime(),
+      endTime: booking.endTime.getTime(),
+    };
+
+    let startTime;
+    let endTime;
+    if (booking.startTime <= previousWindow.start && booking.endTime >= previousWindow.end) {
+      startTime = window.start;
+      endTime = window.end;
+    } else {
+      startTime = new Date(Math.max(booking.startTime.getTime() + shift, window.start.getTime()));
+      endTime = new Date(Math.min(booking.endTime.getTime() + shift, window.end.getTime()));
+      if (endTime <= startTime) {
+        startTime = window.start;
+        endTime = window.end;
+      }
+    }
+
+    // Current zone first, then the event's other zones with slots left
+    const zoneOrder = [before.zoneId, ...allocations.map(allocation => allocation.zoneId.toString())]
+      .filter((zoneId, index, list) => list.indexOf(zoneId) === index && remaining.get(zoneId) > 0);
+
+    let space = null;
+    for (const zoneId of zoneOrder) {
+      if (zoneId === before.zoneId && before.spaceId) {
+        space = await findFreeSpace(zoneId, startTime, endTime, { spaceId: before.spaceId }, session);
+      }
+      if (!space) {
+        space = await findFreeSpace(zoneId, startTime, endTime, {}, session);
+      }
+      if (space) break;
+    }
+
+    if (!space) {
+      const refund = await refundBooking(booking, { cancelledByAdmin: true }, session);
+      booking.status = 'cancelled';
+      // The in-memory booking still has its space; write it back
+      booking.markModified('spaceId');
+      await booking.save({ session });
+      await releaseEventSlot(booking, session);
+      cancelled.push({ booking, refund });
+      continue;
+    }
+
+    const zoneId = space.zoneId.toString();
+    remaining.set(zoneId, remaining.get(zoneId) - 1);
+
+    booking.zoneId = space.zoneId;
+    booking.zoneName = zones.find(zone => zone._id.toString() === zoneId).name;
+    booking.spaceId = space._id;
+    booking.markModified('spaceId');
+    booking.spaceNumber = space.number;
+    booking.date = event.date;
+    booking.startTime = startTime;
+    booking.endTime = endTime;
+    booking.duration = (endTime.getTime() - startTime.getTime()) / HOUR_MS;
+
+    const changed = before.zoneId !== zoneId
+      || before.spaceId !== space._id.toString()
+      || before.startTime !== startTime.getTime()
+      || before.endTime !== endTime.getTime();
+
+    if (changed) {
+      // The old pass carries the old zone and window
+      booking.qrCode = generateQRCode(booking);
+      moved.push(booking);
+    }
+
+    await booking.save({ session });
+  }
+
+  return { moved, cancelled };
+}
+
+// Cancel the active bookings of a cancelled or deleted event with a full
+// refund, releasing their slots. Attendees already checked in keep their
+// booking until they leave. Returns [{ booking, refund }].
+async function cancelEventBookings(event, session = null) {
+  const bookings = await Booking.find({ eventId: event._id, status: 'active', checkInTime: null }).session(session);
+  const cancelled = [];
+
+  for (const booking of bookings) {
+    const refund = await refundBooking(booking, { cancelledByAdmin: true }, session);
+    booking.status = 'cancelled';
+    await booking.save({ session });
+    await releaseEventSlot(booking, session);
+    cancelled.push({ booking, refund });
+  }
+
+  return cancelled;
+}
+
+// Tell attendees how an event change affected their parking
+async function notifyEventAttendees(event, { moved = [], cancelled = [] }) {
+  for (const booking of moved) {
+    await notifyUser(booking.userId, {
+      title: 'Event Parking Updated',
+      message: `${event.name} has changed. Your parking is now at ${booking.zoneName} (space ${booking.spaceNumber}) ` +
+        `from ${booking.startTime.toLocaleString()} to ${booking.endTime.toLocaleString()}. Use your new pass.`,
+      type: 'event',
+      booking: booking._id,
+      data: { screen: 'bookings', bookingId: booking._id.toString() },
+    });
+  }
+
+  for (const { booking, refund } of cancelled) {
+    await notifyUser(booking.userId, {
+      title: 'Event Parking Cancelled',
+      message: (event.isActive
+        ? `${event.name} has changed and there is no longer a parking slot for your booking`
+        : `${event.name} has been cancelled, so your parking booking was cancelled`) +
+        (refund > 0 ? `. $${refund.toFixed(2)} has been refunded.` : ''),
+      type: 'cancellation',
+      booking: booking._id,
+      data: { screen: 'bookings' },
+    });
+  }
+}
+
+// Registration and check-in counts for an event, overall and per zone
+async function getEventAttendance(event) {
+  const allocations = getEventZoneAllocations(event);
+  const bookings = await Booking.find(eventBookingQuery(event._id)).select('zoneId checkInTime');
+  const zoneDocs = await Zone.find({ _id: { $in: allocations.map(allocation => allocation.zoneId) } }).select('name');
+
+  const zones = allocations.map((allocation) => {
+    const zoneBookings = bookings.filter(booking => booking.zoneId.toString() === allocation.zoneId.toString());
+    const zone = zoneDocs.find(doc => doc._id.toString() === allocation.zoneId.toString());
+    return {
+      zoneId: allocation.zoneId,
+      zoneName: zone ? zone.name : undefined,
+      allocatedSlots: allocation.allocatedSlots,
+      registrations: zoneBookings.length,
+      checkedIn: zoneBookings.filter(booking => booking.checkInTime).length,
+    };
+  });
+
+  return {
+    eventId: event._id,
+    allocatedSlots: event.allocatedSlots,
+    registrations: bookings.length,
+    checkedIn: bookings.filter(booking => booking.checkInTime).length,
+    zones,
+  };
+}
+
+// Push an event's current attendance to connected clients (the organizer's
+// live view)
+async function broadcastEventUpdate(eventId) {
+  try {
+    const event = await Event.findById(eventId);
+    if (!event) return;
+
+    broadcast({
+      type: 'event_update',
+      ...(await getEventAttendance(event)),
+    });
+  } catch (error) {
+    console.error('Error broadcasting event update:', error);
+  }
+}
+
+// ===== VEHICLE HELPERS =====
+
+// Find the registered vehicle a booking is for, by ID or plate. With neither
+// given, a user with a single registered vehicle gets that one.
+async function resolveBookingVehicle(userId, { vehicleId, vehicleNumber } = {}, session = null) {
+  let vehicle = null;
+
+  if (vehicleId) {
+    vehicle = await Vehicle.findOne({ _id: vehicleId, userId }).session(session);
+  } else if (vehicleNumber) {
+    vehicle = await Vehicle.findOne({ userId, normalizedPlate: normalizePlate(vehicleNumber) }).session(session);
+  } else {
+    const vehicles = await Vehicle.find({ userId }).limit(2).session(session);
+    if (vehicles.length !== 1) {
+      throw httpError(400, vehicles.length === 0
+        ? 'Register a vehicle before booking'
+        : 'Choose which of your registered vehicles this booking is for');
+    }
+    vehicle = vehicles[0];
+  }
+
+  if (!vehicle) {
+    throw httpError(400, `${vehicleNumber || 'This vehicle'} is not one of your registered vehicles`);
+  }
+
+  if (vehicle.verificationStatus === 'rejected') {
+    throw httpError(400, `${vehicle.plate} failed verification and cannot be used for bookings`);
+  }
+
+  return vehicle;
+}
+
+// Keep the vehicle number on a user's profile registered as one of their vehicles
+async function registerProfileVehicle(userId, vehicleNumber, session = null) {
+  const normalizedPlate = normalizePlate(vehicleNumber);
+  if (!normalizedPlate) return null;
+
+  return Vehicle.findOneAndUpdate(
+    { userId, normalizedPlate },
+    { $setOnInsert: { userId, plate: vehicleNumber, normalizedPlate } },
+    { upsert: true, new: true, session }
+  );
+}
+
+// Store an in-app notification and deliver it over WebSocket and push
+async function notifyUser(userId, { title, message, type = 'info', booking, data = {} }) {
+  await Notification.create({ userId, title, message, type, booking });
+
+  broadcast({
+    type: 'notification',
+    userId: userId.toString(),
+    title,
+    message,
+    notificationType: type
+  });
+
+  try {
+    const user = await User.findById(userId);
+    if (user && user.pushToken) {
+      await sendPushNotification(user.pushToken, title, message, data);
+    }
+  } catch (pushError) {
+    console.error('Error sending push notification:', pushError);
+  }
+}
+
+// ===== VIOLATION HELPERS =====
+
+// Record a violation against a booking. It is kept on the booking and as a
+// Violation document the user can appeal. Returns the unsaved Violation; the
+// caller saves the booking and then passes it to applyViolations.
+function addViolation(booking, { type, description, timestamp = new Date(), minutesExceeded, fine = 0 }) {
+  const violation = new Violation({
+    userId: booking.userId,
+    bookingId: booking._id,
+    zoneId: booking.zoneId,
+    zoneName: booking.zoneName,
+    vehicleNumber: booking.vehicleNumber,
+    type,
+    description,
+    minutesExceeded,
+    fine,
+    createdAt: timestamp,
+  });
+
+  booking.violations.push({ _id: violation._id, type, description, timestamp, minutesExceeded, fine });
+
+  return violation;
+}
+
+// Record an overstay violation on a booking whose vehicle left (or was still
+// parked) at endedAt. Returns null within the zone's grace period.
+function recordOverstay(booking, zone, endedAt) {
+  if (!booking.endTime || endedAt <= booking.endTime) return null;
+
+  const minutesExceeded = Math.floor((endedAt - booking.endTime) / 60000);
+  const fine = calculateOverstayFine(zone, minutesExceeded);
+  if (fine <= 0) return null;
+
+  return addViolation(booking, {
+    type: 'overstay',
+    description: `Stayed ${minutesExceeded} minutes past the booked end time`,
+    timestamp: endedAt,
+    minutesExceeded,
+    fine,
+  });
+}
+
+// Grow the overstay already recorded on a booking (while its vehicle was
+// still parked) to cover the stay up to endedAt, adding only the extra fine
+// to the user's balance. A dismissed violation stays as it was. Returns the
+// saved violation, or null when it no longer exists. The caller saves the
+// booking.
+async function updateOverstay(booking, zone, endedAt) {
+  const entry = booking.violations.find(recorded => recorded.type === 'overstay');
+  const violation = entry && await Violation.findById(entry._id);
+  if (!violation || violation.status === 'dismissed') return violation || null;
+
+  const minutesExceeded = Math.floor((endedAt - booking.endTime) / 60000);
+  const fine = Math.max(calculateOverstayFine(zone, minutesExceeded), violation.fine);
+  const extraFine = roundCurrency(fine - violation.fine);
+  const description = `Stayed ${minutesExceeded} minutes past the booked end time`;
+
+  entry.minutesExceeded = minutesExceeded;
+  entry.fine = fine;
+  entry.description = description;
+
+  violation.minutesExceeded = minutesExceeded;
+  violation.fine = fine;
+  violation.description = description;
+  await violation.save();
+
+  if (extraFine > 0 && violation.userId) {
+    await User.findByIdAndUpdate(violation.userId, { $inc: { balance: extraFine } });
+    await notifyUser(violation.userId, {
+      title: 'Overstay Fine',
+      message: `You have now stayed ${minutesExceeded} minutes past your booking at ${violation.zoneName}. ` +
+        `$${extraFine.toFixed(2)} has been added to your fine, which is now $${fine.toFixed(2)}.`,
+      type: 'violation',
+      booking: violation.bookingId,
+      data: { screen: 'violations', violationId: violation._id.toString() },
+    });
+  }
+
+  return violation;
+}
+
+// Save new violations, add their fines to the user's balance, let the user
+// know and apply any repeat-offender penalty. Violations with no known user
+// (e.g. an unrecognised vehicle) are only saved.
+async function applyViolations(violations) {
+  const userIds = new Set();
+
+  for (const violation of violations) {
+    await violation.save();
+
+    if (!violation.userId) continue;
+    userIds.add(violation.userId.toString());
+
+    let message;
+    if (violation.type === 'overstay') {
+      message = `You stayed ${violation.minutesExceeded} minutes past your booking at ${violation.zoneName}.`;
+    } else if (violation.bookingId) {
+      message = `A ${violation.type} violation was recorded for your booking at ${violation.zoneName}: ${violation.description}.`;
+    } else {
+      message = `A ${violation.type} violation was recorded for your vehicle ${violation.vehicleNumber} at ${violation.zoneName}: ${violation.description}.`;
+    }
+
+    if (violation.fine > 0) {
+      await User.findByIdAndUpdate(violation.userId, { $inc: { balance: violation.fine } });
+      message += ` A fine of $${violation.fine.toFixed(2)} has been added to your balance.`;
+    }
+
+    await notifyUser(violation.userId, {
+      title: violation.type === 'overstay' ? 'Overstay Fine' : 'Parking Violation',
+      message: `${message} You can appeal it from your violations list.`,
+      type: 'violation',
+      booking: violation.bookingId,
+      data: { screen: 'violations', violationId: violation._id.toString() },
+    });
+  }
+
+  for (const userId of userIds) {
+    await updateBookingBan(userId);
+  }
+}
+
+// Ban users with too many violations in the recent window from making new
+// bookings for a while. Dismissed violations do not count, so accepting an
+// appeal can bring a user back under the threshold and lift the ban.
+async function updateBookingBan(userId) {
+  const since = new Date(Date.now() - VIOLATION_WINDOW_DAYS * DAY_MS);
+  const count = await Violation.countDocuments({
+    userId,
+    status: { $ne: 'dismissed' },
+    createdAt: { $gte: since },
+  });
+
+  const user = await User.findById(userId).select('bookingBan');
+  if (!user) return;
+
+  const isBanned = user.bookingBan && user.bookingBan.until > new Date();
+
+  if (count >= VIOLATION_BAN_THRESHOLD && !isBanned) {
+    const until = new Date(Date.now() + VIOLATION_BAN_DAYS * DAY_MS);
+    await User.findByIdAndUpdate(userId, {
+      bookingBan: {
+        until,
+        reason: `${count} violations in the last ${VIOLATION_WINDOW_DAYS} days`,
+        bannedAt: new Date(),
+      },
+    });
+
+    await notifyUser(userId, {
+      title: 'Bookings Suspended',
+      message: `You have ${count} parking violations in the last ${VIOLATION_WINDOW_DAYS} days. You cannot make new bookings until ${until.toLocaleDateString()}.`,
+      type: 'violation',
+      data: { screen: 'violations' },
+    });
+  } else if (count < VIOLATION_BAN_THRESHOLD && isBanned) {
+    await User.findByIdAndUpdate(userId, { $unset: { bookingBan: 1 } });
+
+    await notifyUser(userId, {
+      title: 'Bookings Restored',
+      message: 'Your booking suspension has been lifted',
+      type: 'success',
+    });
+  }
+}
+
+// Reject bookings from users serving a booking ban
+async function checkBookingBan(userId, session = null) {
+  const user = await User.findById(userId).select('bookingBan').session(session);
+
+  if (user && user.bookingBan && user.bookingBan.until > new Date()) {
+    throw httpError(403, `Your booking privileges are suspended until ${user.bookingBan.until.toLocaleDateString()} (${user.bookingBan.reason})`, {
+      bannedUntil: user.bookingBan.until,
+    });
+  }
+}
+
+// ===== CHECK-IN HELPERS =====
+
+// Check in the booking for a scanned QR code. Pass userId to only allow the
+// booking's owner, and at for when the vehicle was seen (defaults to now).
+// Rejections are httpErrors with a reason in their details.
+async function checkInBooking(qrCode, { zoneId, userId, at = new Date() } = {}) {
+  const verification = verifyScannedCode(qrCode, { zoneId, at });
+
+  if (verification.kind === 'permit') {
+    return checkInPermit(qrCode, verification, { userId, at });
+  }
+
+  const scanned = await resolveScannedBooking(qrCode, verification);
+  const details = { reason: null, bookingId: scanned._id };
+
+  if (userId && scanned.userId.toString() !== userId) {
+    throw httpError(403, 'Unauthorized', { ...details, reason: 'not-owner' });
+  }
+
+  if (scanned.status !== 'active') {
+    throw httpError(400, 'Booking is not active', { ...details, reason: 'inactive' });
+  }
+
+  // Claim the check-in atomically so a replayed code cannot check in twice
+  const booking = await Booking.findOneAndUpdate(
+    { _id: scanned._id, qrCode, status: 'active', checkInTime: null },
+    { checkInTime: at },
+    { new: true }
+  );
+
+  if (!booking) {
+    throw httpError(409, 'QR code has already been used to check in', { ...details, reason: 'replayed' });
+  }
+
+  await notifyCheckIn(booking);
+
+  return booking;
+}
+
+// A permit visit lasts to the end of the day, or until the permit expires
+function permitVisitEnd(permit, at) {
+  const endOfDay = new Date(at);
+  endOfDay.setHours(23, 59, 59, 999);
+  return endOfDay < permit.validUntil ? endOfDay : permit.validUntil;
+}
+
+// Roll a permit visit still parked at `at` past its end over to the end of
+// that day, while the permit is still valid, so holders parked overnight
+// aren't fined. Returns whether the visit was extended; the caller saves it.
+async function rollOverPermitVisit(booking, at) {
+  if (!booking.permitId || at <= booking.endTime) return false;
+
+  const permit = await Permit.findById(booking.permitId).select('status validUntil');
+  if (!permit || permit.status !== 'approved' || permit.validUntil <= booking.endTime) return false;
+
+  booking.endTime = permitVisitEnd(permit, at);
+  booking.duration = roundCurrency((booking.endTime - booking.startTime) / HOUR_MS);
+  return true;
+}
+
+// Check in a permit holder by opening a visit booking for the rest of the
+// day. Visits don't count against capacity as the permit holds the space.
+async function checkInPermit(qrCode, verification, { userId, at = new Date() } = {}) {
+  const permit = await Permit.findById(verification.bookingId);
+  const details = { reason: null, permitId: verification.bookingId };
+
+  if (!permit || permit.qrCode !== qrCode) {
+    throw httpError(404, 'QR code is no longer valid for this permit', { ...details, reason: 'superseded' });
+  }
+
+  if (userId && permit.userId.toString() !== userId) {
+    throw httpError(403, 'Unauthorized', { ...details, reason: 'not-owner' });
+  }
+
+  if (permit.status !== 'approved' || at < permit.validFrom || at > permit.validUntil) {
+    throw httpError(400, 'Permit is not valid at this time', { ...details, reason: 'inactive' });
+  }
+
+  const openVisit = await Booking.findOne({ permitId: permit._id, status: 'active', checkOutTime: null });
+  if (openVisit) {
+    throw httpError(409, 'Permit holder is already checked in', {
+      ...details,
+      reason: 'replayed',
+      bookingId: openVisit._id,
+    });
+  }
+
+  const endTime = permitVisitEnd(permit, at);
+
+  const booking = new Booking({
+    userId: permit.userId,
+    zoneId: permit.zoneId,
+    zoneName: permit.zoneName,
+    permitId: permit._id,
+    vehicleId: permit.vehicleId,
+    vehicleNumber: permit.plate,
+    date: at,
+    startTime: at,
+    endTime,
+    duration: roundCurrency((endTime - at) / HOUR_MS),
+    status: 'active',
+    checkInTime: at,
+  });
+  booking.qrCode = generateQRCode(booking);
+  await booking.save();
+
+  await notifyCheckIn(booking);
+
+  return booking;
+}
+
+// Let a user know their vehicle has been checked in
+async function notifyCheckIn(booking) {
+  if (booking.eventId) {
+    await broadcastEventUpdate(booking.eventId);
+  }
+
+  if (booking.visitorId) {
+    return notifyVisitorArrival(booking);
+  }
+
+  await Notification.create({
+    userId: booking.userId,
+    title: 'Check-in Successful',
+    message: `You have checked in at ${booking.zoneName}`,
+    type: 'success',
+  });
+
+  broadcast({
+    type: 'notification',
+    userId: booking.userId.toString(),
+    title: 'Check-in Successful',
+    message: `Checked in at ${booking.zoneName}`,
+    notificationType: 'success'
+  });
+}
+
+// Let a host know their pre-registered guest has arrived
+async function notifyVisitorArrival(booking) {
+  const visitor = await Visitor.findByIdAndUpdate(
+    booking.visitorId,
+    { status: 'arrived', arrivedAt: booking.checkInTime || new Date() },
+    { new: true }
+  );
+  if (!visitor) return;
+
+  await notifyUser(visitor.hostId, {
+    title: 'Guest Arrived',
+    message: `${visitor.name} (${visitor.plate}) has checked in at ${booking.zoneName}`,
+    type: 'info',
+    booking: booking._id,
+    data: { screen: 'visitors' },
+  });
+}
+
+// Check out the booking for a scanned QR code, charging and fining any time
+// past the booked end. Returns { booking, overstay }.
+async function checkOutBooking(qrCode, { zoneId: gateZoneId, userId, at = new Date() } = {}) {
+  // Expired codes still check out, otherwise an overstaying car could never leave
+  const verification = verifyScannedCode(qrCode, { zoneId: gateZoneId, ignoreExpiry: true, at });
+
+  let booking;
+  if (verification.kind === 'permit') {
+    // A permit pass checks out the holder's open visit
+    booking = await Booking.findOne({ permitId: verification.bookingId, status: 'active', checkOutTime: null });
+    if (!booking) {
+      throw httpError(400, 'Permit holder is not checked in', {
+        reason: 'not-checked-in',
+        permitId: verification.bookingId,
+      });
+    }
+  } else {
+    booking = await resolveScannedBooking(qrCode, verification);
+  }
+
+  const details = { reason: null, bookingId: booking._id };
+
+  if (userId && booking.userId.toString() !== userId) {
+    throw httpError(403, 'Unauthorized', { ...details, reason: 'not-owner' });
+  }
+
+  if (booking.checkOutTime) {
+    throw httpError(409, 'QR code has already been used to check out', { ...details, reason: 'replayed' });
+  }
+
+  if (booking.status !== 'active') {
+    throw httpError(400, 'Booking is not active', { ...details, reason: 'inactive' });
+  }
+
+  if (!booking.checkInTime) {
+    throw httpError(400, 'Please check-in first', { ...details, reason: 'not-checked-in' });
+  }
+
+  const zoneId = booking.zoneId;
+  const zoneName = booking.zoneName;
+
+  booking.checkOutTime = at;
+  booking.status = 'completed';
+
+  // Time parked past the booked end is covered by the overstay fine alone,
+  // not charged again at the hourly rate. An overstay the expiry job already
+  // recorded is brought up to the real exit rather than fined twice. Permit
+  // visits only overstay once the permit runs out.
+  await rollOverPermitVisit(booking, booking.checkOutTime);
+  const zone = await Zone.findById(zoneId);
+  const alreadyRecorded = booking.violations.some(recorded => recorded.type === 'overstay');
+  const overstay = alreadyRecorded
+    ? await updateOverstay(booking, zone, booking.checkOutTime)
+    : recordOverstay(booking, zone, booking.checkOutTime);
+
+  await booking.save();
+
+  if (overstay && !alreadyRecorded) {
+    await applyViolations([overstay]);
+  }
+
+  await Notification.create({
+    userId: booking.userId,
+    title: 'Check-out Successful',
+    message: `You have checked out from ${booking.zoneName}`,
+    type: 'success',
+  });
+
+  await promoteWaitlist(zoneId);
+  await broadcastZoneUpdate(zoneId, { start: booking.startTime, end: booking.endTime });
+
+  broadcast({
+    type: 'notification',
+    userId: booking.userId.toString(),
+    title: 'Check-out Successful',
+    message: `Checked out from ${zoneName}`,
+    notificationType: 'success'
+  });
+
+  return { booking, overstay };
+}
+
+// ===== WAITLIST HELPERS =====
+
+// Offer time-limited holds to waiting users, first come first served, for as
+// long as the zone has room in their window. Called whenever a slot is freed.
+async function promoteWaitlist(zoneId) {
+  try {
+    const zone = await Zone.findById(zoneId);
+    if (!zone) return;
+
+    const capacity = await getZoneCapacity(zone);
+    const waiting = await WaitlistEntry.find({
+      zoneId,
+      status: 'waiting',
+      endTime: { $gt: new Date() },
+    }).sort({ createdAt: 1 });
+
+    for (const entry of waiting) {
+      const activeBookings = await countPeakBookings(zoneId, entry.startTime, entry.endTime);
+      if (activeBookings >= capacity) continue;
+
+      entry.status = 'offered';
+      entry.offeredAt = new Date();
+      entry.holdExpiresAt = new Date(Date.now() + WAITLIST_HOLD_MINUTES * 60 * 1000);
+      await entry.save();
+
+      await notifyUser(entry.userId, {
+        title: 'Parking Slot Available',
+        message: `A slot at ${entry.zoneName} is being held for you for ${WAITLIST_HOLD_MINUTES} minutes. Accept it to confirm your booking.`,
+        type: 'info',
+        data: { screen: 'waitlist', waitlistEntryId: entry._id.toString() },
+      });
+    }
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+  }
+}
+
+// ===== VALIDATION RULES =====
+
+const signupValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Invalid email format'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('role').isIn(['student', 'visitor', 'staff']).withMessage('Sign up as a student, visitor or staff member'),
+  body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Phone must be 10 digits'),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 })
+];
+
+const loginValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').notEmpty(),
+  body('role').isIn(['student', 'staff', 'admin', 'visitor', 'attendant'])
+];
+
+const bookingValidation = [
+  body('userId').isMongoId(),
+  body('zoneId').isMongoId(),
+  body('zoneName').trim().notEmpty(),
+  body('date').isISO8601(),
+  body('startTime').optional().isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').isInt({ min: 1, max: 24 }),
+  body('vehicleId').optional().isMongoId(),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 }),
+  body('spaceId').optional().isMongoId(),
+  body('spaceFeatures').optional().isArray(),
+  body('spaceFeatures.*').isIn(['ev-charger', 'accessible', 'compact', 'covered']).withMessage('Invalid space feature')
+];
+
+const bookingChangeValidation = [
+  body('zoneId').optional().isMongoId(),
+  body('date').optional().isISO8601(),
+  body('startTime').optional().isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').optional().isInt({ min: 1, max: 24 }),
+  body('vehicleId').optional().isMongoId(),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 }),
+  body('spaceId').optional().isMongoId(),
+  body('spaceFeatures').optional().isArray(),
+  body('spaceFeatures.*').isIn(['ev-charger', 'accessible', 'compact', 'covered']).withMessage('Invalid space feature')
+];
+
+const seriesValidation = [
+  body('zoneId').isMongoId(),
+  body('startTime').isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').isInt({ min: 1, max: 24 }),
+  body('rule').isString().trim().notEmpty().withMessage('Recurrence rule is required'),
+  body('vehicleId').optional().isMongoId(),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 }),
+  body('spaceFeatures').optional().isArray(),
+  body('spaceFeatures.*').isIn(['ev-charger', 'accessible', 'compact', 'covered']).withMessage('Invalid space feature')
+];
+
+const waitlistValidation = [
+  body('zoneId').isMongoId(),
+  body('startTime').isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').isInt({ min: 1, max: 24 }),
+  body('vehicleId').optional().isMongoId(),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 })
+];
+
+const quoteValidation = [
+  body('zoneId').isMongoId(),
+  body('date').optional().isISO8601(),
+  body('startTime').optional().isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').isInt({ min: 1, max: 24 })
+];
+
+const pricingRuleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('type').isIn(['time-of-day', 'weekend', 'event-day', 'role-discount', 'daily-cap']).withMessage('Invalid rule type'),
+  body('startHour').optional().isInt({ min: 0, max: 23 }),
+  body('endHour').optional().isInt({ min: 1, max: 24 }),
+  body('daysOfWeek').optional().isArray(),
+  body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6'),
+  body('multiplier').optional().isFloat({ min: 0 }),
+  body('surchargePerHour').optional().isFloat({ min: 0 }),
+  body('role').optional().isIn(['student', 'staff', 'admin', 'visitor']),
+  body('discountPercent').optional().isFloat({ min: 0, max: 100 }),
+  body('amount').optional().isFloat({ min: 0 }),
+  body('isActive').optional().isBoolean()
+];
+
+const accessPolicyValidation = [
+  body('name').trim().notEmpty().withMessage('Policy name is required'),
+  body('effect').isIn(['allow', 'deny']).withMessage('Effect must be allow or deny'),
+  body('zoneId').optional({ values: 'null' }).isMongoId().withMessage('Invalid zone ID'),
+  body('zoneType').optional({ values: 'null' }).isIn(['student', 'staff', 'visitor', 'general', 'event']).withMessage('Invalid zone type'),
+  body('roles').optional().isArray(),
+  body('roles.*').isIn(['student', 'staff', 'admin', 'visitor', 'attendant']).withMessage('Invalid role'),
+  body('userIds').optional().isArray(),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID'),
+  body('departments').optional().isArray(),
+  body('departments.*').isString().trim().notEmpty(),
+  body('startHour').optional({ values: 'null' }).isInt({ min: 0, max: 23 }),
+  body('endHour').optional({ values: 'null' }).isInt({ min: 1, max: 24 }),
+  body('daysOfWeek').optional().isArray(),
+  body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6'),
+  body('maxConcurrentBookings').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('priority').optional().isInt(),
+  body('isActive').optional().isBoolean()
+];
+
+const accessCheckValidation = [
+  body('userId').isMongoId().withMessage('Valid user ID required'),
+  body('zoneId').isMongoId().withMessage('Valid zone ID required'),
+  body('startTime').optional().isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').optional().isInt({ min: 1, max: 24 })
+];
+
+const quotaValidation = [
+  body('maxActiveBookings').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('maxHoursPerWeek').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('maxAdvanceDays').optional({ values: 'null' }).isInt({ min: 0 }),
+  body('minLeadMinutes').optional({ values: 'null' }).isInt({ min: 0 })
+];
+
+const appealValidation = [
+  body('reason').trim().isLength({ min: 10, max: 1000 }).withMessage('Appeal reason must be 10-1000 characters')
+];
+
+const appealDecisionValidation = [
+  body('decision').isIn(['accepted', 'rejected']).withMessage('Decision must be accepted or rejected'),
+  body('note').optional().trim().isLength({ max: 1000 })
+];
+
+const scanValidation = [
+  body('qrCode').isString().notEmpty().withMessage('Valid QR code required'),
+  body('zoneId').isMongoId().withMessage('Gate zone is required')
+];
+
+const invitationValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Invalid email format'),
+  body('role').isIn(['admin', 'attendant', 'staff']).withMessage('Role must be admin, attendant or staff'),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+];
+
+const acceptInvitationValidation = [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Phone must be 10 digits'),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 })
+];
+
+const roleChangeValidation = [
+  body('role').isIn(['student', 'staff', 'admin', 'visitor', 'attendant']).withMessage('Invalid role'),
+  body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 500 })
+];
+
+const staffDecisionValidation = [
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('note').optional().trim().isLength({ max: 500 })
+];
+
+const plateReadValidation = [
+  body('plate').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Plate is required'),
+  body('cameraId').isString().trim().notEmpty().withMessage('Camera ID is required'),
+  body('zoneId').isMongoId(),
+  body('timestamp').optional().isISO8601().withMessage('Timestamp must be an ISO 8601 date-time'),
+  body('direction').optional().isIn(['entry', 'exit']),
+  body('confidence').optional().isFloat({ min: 0, max: 1 })
+];
+
+const eventRegistrationValidation = [
+  body('zoneId').optional().isMongoId(),
+  body('startTime').optional().isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').optional().isFloat({ min: 0.5, max: 24 }),
+  body('vehicleId').optional().isMongoId(),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 })
+];
+
+const tokenValidation = [
+  body('token').isString().notEmpty().withMessage('Token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Invalid email format')
+];
+
+const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+const refreshValidation = [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+const vehicleValidation = [
+  body('plate').trim().isLength({ min: 2, max: 20 }).withMessage('Plate must be 2-20 characters'),
+  body('make').optional().trim().isLength({ max: 50 }),
+  body('colour').optional().trim().isLength({ max: 30 }),
+  body('permitType').optional().trim().isLength({ max: 30 })
+];
+
+const vehicleDecisionValidation = [
+  body('decision').isIn(['verified', 'rejected']).withMessage('Decision must be verified or rejected'),
+  body('note').optional().trim().isLength({ max: 500 })
+];
+
+const visitorValidation = [
+  body('name').trim().notEmpty().withMessage('Guest name is required').isLength({ max: 100 }),
+  body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail(),
+  body('phone').optional({ checkFalsy: true }).trim().isLength({ max: 20 }),
+  body('plate').trim().notEmpty().withMessage('Guest vehicle plate is required').isLength({ max: 20 }),
+  body('zoneId').isMongoId(),
+  body('date').isISO8601(),
+  body('startTime').optional().isISO8601().withMessage('Start time must be an ISO 8601 date-time'),
+  body('duration').optional().isInt({ min: 1, max: 24 }),
+  body().custom(value => Boolean(value.email || value.phone)).withMessage('Guest email or phone is required')
+];
+
+const permitValidation = [
+  body('zoneId').isMongoId(),
+  body('period').isIn(['semester', 'annual']).withMessage('Period must be semester or annual'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be an ISO 8601 date'),
+  body('vehicleId').optional().isMongoId(),
+  body('vehicleNumber').optional().trim().isLength({ max: 20 })
+];
+
+const permitDecisionValidation = [
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('note').optional().trim().isLength({ max: 500 })
+];
+
+// ===== AUTH ROUTES =====
+
+app.post('/api/auth/signup', signupValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, email, password, role, phone, vehicleNumber } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+
+    // Staff start with visitor access until they are confirmed as staff.
+    // The model hashes the password on save.
+    const user = new User({
+      name,
+      email,
+      password,
+      role: role === 'staff' ? 'visitor' : role,
+      phone,
+      vehicleNumber,
+      staffRequest: role === 'staff' ? { status: 'pending', requestedAt: new Date() } : undefined,
+    });
+
+    await user.save();
+
+    if (vehicleNumber) {
+      await registerProfileVehicle(user._id, vehicleNumber);
+    }
+
+    await sendVerificationEmail(user);
+
+    const tokens = await startSession(user, req);
+
+    await Notification.create({
+      userId: user._id,
+      title: 'Welcome to Campus Parking!',
+      message: role !== 'staff'
+        ? 'Your account has been created successfully'
+        : isStaffEmail(email)
+          ? 'Your account has been created. Verify your email to unlock staff parking.'
+          : 'Your account has been created. An admin will review your staff request.',
+      type: 'success',
+    });
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: permissionsFor(user.role),
+        phone: user.phone,
+        vehicleNumber: user.vehicleNumber,
+        emailVerified: user.emailVerified,
+        staffRequest: user.staffRequest && user.staffRequest.status,
+      },
+      ...tokens,
+    });
+  } catch (error) {
+    console.error('Signup error:', error);
+    res.status(500).json({ success: false, message: 'Server error during signup' });
+  }
+});
+
+app.post('/api/auth/login', loginLimiter, loginValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password, role } = req.body;
+
+    // Explicitly select password field since it's set to select: false in the model
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return res.status(400).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    // Staff sign-ups keep visitor access until an admin confirms them, but
+    // may sign in as staff meanwhile; the response carries their real role
+    const staffRequest = role === 'staff' && user.staffRequest && user.staffRequest.status;
+    if (user.role !== role && staffRequest !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: staffRequest === 'rejected'
+          ? 'Your staff request was not approved. Please sign in as a visitor.'
+          : 'Invalid role selected',
+      });
+    }
+
+    const tokens = await startSession(user, req);
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: permissionsFor(user.role),
+        phone: user.phone,
+        vehicleNumber: user.vehicleNumber,
+        emailVerified: user.emailVerified,
+        staffRequest: user.staffRequest && user.staffRequest.status,
+      },
+      ...tokens,
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ success: false, message: 'Server error during login' });
+  }
+});
+
+app.post('/api/auth/verify-email', tokenValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'email-verification');
+    if (!authToken) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      authToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const promoted = await applyStaffEmailDomain(user);
+
+    res.json({
+      success: true,
+      message: promoted ? 'Email address verified and staff access confirmed' : 'Email address verified',
+      role: user.role,
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, message: 'Server error verifying email' });
+  }
+});
+
+app.post('/api/auth/resend-verification', authenticateToken, passwordLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: 'Server error sending verification email' });
+  }
+});
+
+// Always answers the same way so the response doesn't reveal which emails
+// have accounts
+app.post('/api/auth/forgot-password', passwordLimiter, forgotPasswordValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Server error requesting password reset' });
+  }
+});
+
+app.post('/api/auth/reset-password', passwordLimiter, resetPasswordValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'password-reset');
+    if (!authToken) {
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
+    // Following a mailed link proves the user controls the address
+    user.emailVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    // Whoever had the old password is signed out everywhere
+    await revokeSessions({ userId: user._id }, { reason: 'password-reset' });
+
+    await sendMail(user.email, 'Your Campus Parking password was changed',
+      `Hi ${user.name},\n\nThe password for your account was just reset and all devices were signed out.`);
+
+    res.json({ success: true, message: 'Password has been reset, please sign in again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Server error resetting password' });
+  }
+});
+
+app.post('/api/auth/change-password', authenticateToken, passwordLimiter, changePasswordValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(req.body.currentPassword, user.password);
+    if (!validPassword) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Keep this device signed in, end every other session
+    await revokeSessions({ userId: user._id, _id: { $ne: req.user.sid } }, { revokedBy: user._id, reason: 'password-change' });
+
+    await sendMail(user.email, 'Your Campus Parking password was changed',
+      `Hi ${user.name},\n\nThe password for your account was just changed and your other devices were signed out. ` +
+      `If this wasn't you, reset your password straight away.`);
+
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, message: 'Server error changing password' });
+  }
+});
+
+// Ask for staff access on an existing student or visitor account
+app.post('/api/auth/staff-request', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!['student', 'visitor'].includes(user.role)) {
+      return res.status(400).json({ success: false, message: `${user.role} accounts cannot request staff access` });
+    }
+
+    if (user.staffRequest && user.staffRequest.status === 'pending') {
+      return res.status(400).json({ success: false, message: 'Your staff request is already pending' });
+    }
+
+    user.staffRequest = { status: 'pending', requestedAt: new Date() };
+    await user.save();
+
+    const promoted = await applyStaffEmailDomain(user);
+
+    res.json({
+      success: true,
+      message: promoted
+        ? 'Staff access confirmed, sign in again to use it'
+        : isStaffEmail(user.email)
+          ? 'Verify your email to confirm staff access'
+          : 'Your staff request will be reviewed by an admin',
+      status: user.staffRequest.status,
+    });
+  } catch (error) {
+    console.error('Staff request error:', error);
+    res.status(500).json({ success: false, message: 'Server error requesting staff access' });
+  }
+});
+
+// Create an account from an admin-issued invitation, with the invited role
+app.post('/api/auth/accept-invitation', passwordLimiter, acceptInvitationValidation, handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { token, name, password, phone, vehicleNumber } = req.body;
+
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(String(token)),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).session(session);
+
+    if (!invitation) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invitation is invalid or has expired' });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email }).session(session);
+    if (existingUser) {
+      await rollbackTransaction(session);
+      return res.status(400).json({
+        success: false,
+        message: 'An account already exists for this email, ask an admin to change its role',
+      });
+    }
+
+    // Claim the invitation so it can only be used once. The claim commits
+    // with the new account, so an account that can't be created leaves the
+    // invitation open to try again.
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null },
+      { acceptedAt: new Date() },
+      { new: true, session }
+    );
+    if (!claimed) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invitation has already been used' });
+    }
+
+    // The invitation was mailed to this address, so it counts as verified
+    const [user] = await User.create([{
+      name,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      phone,
+      vehicleNumber,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    }], { session });
+
+    claimed.acceptedBy = user._id;
+    await claimed.save({ session });
+
+    await RoleChange.create([{
+      userId: user._id,
+      toRole: invitation.role,
+      method: 'invitation',
+      changedBy: invitation.invitedBy,
+      reason: `Invitation ${invitation._id}`,
+    }], { session });
+
+    if (vehicleNumber) {
+      await registerProfileVehicle(user._id, vehicleNumber, session);
+    }
+
+    await commitTransaction(session);
+
+    const tokens = await startSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: permissionsFor(user.role),
+        phone: user.phone,
+        vehicleNumber: user.vehicleNumber,
+        emailVerified: user.emailVerified,
+      },
+      ...tokens,
+    });
+  } catch (error) {
+    await rollbackTransaction(session);
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ success: false, message: 'Server error accepting invitation' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Swap a refresh token for a new access token and refresh token. Each
+// refresh token works once; presenting an old one again means it was copied,
+// so the whole session is revoked.
+app.post('/api/auth/refresh', refreshValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const [sessionId, secret] = req.body.refreshToken.split('.');
+
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ success: false, message: 'Session has ended, please sign in again' });
+    }
+
+    const presented = Buffer.from(hashToken(secret));
+    const stored = Buffer.from(session.refreshTokenHash);
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+      await revokeSessions({ _id: session._id }, { reason: 'refresh-reuse' });
+      console.warn(`Refresh token reuse detected for session ${session._id}, session revoked`);
+      return res.status(401).json({ success: false, message: 'Session has ended, please sign in again' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await revokeSessions({ _id: session._id });
+      return res.status(401).json({ success: false, message: 'Session has ended, please sign in again' });
+    }
+
+    // Rotate only if the token hasn't been used by a concurrent request
+    const { refreshToken, refreshTokenHash } = createRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      {
+        refreshTokenHash,
+        lastSeenAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      return res.status(401).json({ success: false, message: 'Refresh token has already been used' });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+      sessionId: session._id,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Server error refreshing session' });
+  }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.user.sid }, { revokedBy: req.user.id, reason: 'logout' });
+    res.json({ success: true, message: 'Signed out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Server error signing out' });
+  }
+});
+
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({ success: true, sessions: sessions.map(session => formatSession(session, req.user.sid)) });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching sessions' });
+  }
+});
+
+// Sign out one of the user's devices, or all of them except this one
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    let revoked;
+
+    if (req.params.sessionId === 'others') {
+      revoked = await revokeSessions(
+        { userId: req.user.id, _id: { $ne: req.user.sid } },
+        { revokedBy: req.user.id }
+      );
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+        return res.status(400).json({ success: false, message: 'Invalid session ID' });
+      }
+
+      revoked = await revokeSessions(
+        { _id: req.params.sessionId, userId: req.user.id },
+        { revokedBy: req.user.id }
+      );
+
+      if (revoked === 0) {
+        return res.status(404).json({ success: false, message: 'Session not found' });
+      }
+    }
+
+    res.json({ success: true, message: 'Session revoked', revoked });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Server error revoking session' });
+  }
+});
+
+// ===== PARKING ZONE ROUTES =====
+
+app.get('/api/zones', async (req, res) => {
+  try {
+    // Optional ?start=&end= (or ?date=) window, defaults to right now
+    const window = resolveWindow(req.query);
+    if (!window) {
+      return res.status(400).json({ success: false, message: 'Invalid time window' });
+    }
+
+    const zones = await Zone.find();
+    
+    const zonesWithAvailability = await Promise.all(
+      zones.map(async (zone) => {
+        // Event reservations for the window are counted as booked slots
+        const activeBookings = await countPeakBookings(zone._id, window.start, window.end);
+        const capacity = await getZoneCapacity(zone);
+
+        return {
+          id: zone._id,
+          name: zone.name,
+          code: zone.code,
+          total: zone.totalSlots,
+          available: Math.max(0, capacity - activeBookings),
+          type: zone.type,
+          location: zone.location?.address || zone.location,
+        };
+      })
+    );
+
+    res.json(zonesWithAvailability);
+  } catch (error) {
+    console.error('Get zones error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching zones' });
+  }
+});
+
+app.get('/api/zones/:zoneId/availability', async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const { date, start, end, duration } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    }
+
+    const zone = await Zone.findById(zoneId);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    // ?start=&end= (or ?start=&duration=) checks a specific window,
+    // ?date= alone checks the busiest moment of that day
+    const window = resolveWindow({ date, start, end, duration });
+    if (!window) {
+      return res.status(400).json({ success: false, message: 'Invalid date format' });
+    }
+
+    const availability = await getZoneAvailability(zoneId, window);
+
+    res.json({
+      success: true,
+      zone: {
+        id: availability.id,
+        name: availability.name,
+        total: availability.total,
+        capacity: availability.capacity,
+        available: availability.available,
+        booked: availability.booked,
+        reservedForPermits: availability.reservedForPermits,
+        reservedForEvents: availability.reservedForEvents,
+      },
+      window,
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ success: false, message: 'Server error checking availability' });
+  }
+});
+
+app.post('/api/zones', authenticateToken, requirePermission('zones:write'), async (req, res) => {
+  try {
+    // Prepare zone data with required fields
+    const zoneData = {
+      ...req.body,
+      totalSlots: req.body.total || req.body.totalSlots,
+      availableSlots: req.body.total || req.body.totalSlots,
+    };
+
+    // Auto-generate code if not provided
+    if (!zoneData.code) {
+      const prefix = (zoneData.type || 'general').substring(0, 3).toUpperCase();
+      const timestamp = Date.now().toString().slice(-4);
+      zoneData.code = `${prefix}-${timestamp}`;
+    }
+
+    const zone = new Zone(zoneData);
+    await zone.save();
+    await syncZoneSpaces(zone);
+
+    broadcast({
+      type: 'zone_created',
+      zone: {
+        id: zone._id,
+        name: zone.name,
+        total: zone.totalSlots,
+        available: zone.totalSlots,
+        type: zone.type,
+        location: zone.location,
+      }
+    });
+
+    res.json({ success: true, zone });
+  } catch (error) {
+    console.error('Create zone error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating zone' });
+  }
+});
+
+app.patch('/api/zones/:zoneId', authenticateToken, requirePermission('zones:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    }
+
+    const currentZone = await Zone.findById(req.params.zoneId);
+    if (!currentZone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    // Map 'total' to 'totalSlots' if provided
+    const updateData = { ...req.body };
+    if (updateData.total !== undefined) {
+      updateData.totalSlots = updateData.total;
+      delete updateData.total;
+    }
+
+    // If totalSlots is being updated, recalculate availableSlots based on current bookings
+    if (updateData.totalSlots !== undefined && updateData.totalSlots !== currentZone.totalSlots) {
+      // Spaces numbered above the new total are removed, so none of them may
+      // still be assigned to an upcoming booking
+      if (updateData.totalSlots < currentZone.totalSlots) {
+        const removedSpaces = await ParkingSpace.find({
+          zoneId: req.params.zoneId,
+          number: { $gt: updateData.totalSlots },
+        }).select('_id');
+
+        const assignedBookings = await Booking.countDocuments({
+          spaceId: { $in: removedSpaces.map(space => space._id) },
+          status: 'active',
+          endTime: { $gt: new Date() },
+        });
+
+        if (assignedBookings > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot reduce slots: ${assignedBookings} upcoming bookings are assigned to spaces that would be removed`,
+          });
+        }
+      }
+
+      const { start, end } = resolveWindow();
+      const activeBookings = await countPeakBookings(req.params.zoneId, start, end);
+
+      updateData.availableSlots = Math.max(0, updateData.totalSlots - activeBookings);
+    }
+
+    const zone = await Zone.findByIdAndUpdate(
+      req.params.zoneId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    await ParkingSpace.deleteMany({ zoneId: zone._id, number: { $gt: zone.totalSlots } });
+    await syncZoneSpaces(zone);
+
+    await promoteWaitlist(zone._id);
+    await broadcastZoneUpdate(zone._id);
+
+    res.json({ success: true, zone });
+  } catch (error) {
+    console.error('Update zone error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating zone' });
+  }
+});
+
+app.delete('/api/zones/:zoneId', authenticateToken, requirePermission('zones:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    }
+
+    const activeBookings = await Booking.countDocuments({
+      zoneId: req.params.zoneId,
+      status: 'active',
+    });
+
+    if (activeBookings > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete zone with active bookings',
+      });
+    }
+
+    await Zone.findByIdAndDelete(req.params.zoneId);
+    await ParkingSpace.deleteMany({ zoneId: req.params.zoneId });
+    
+    broadcast({
+      type: 'zone_deleted',
+      zoneId: req.params.zoneId
+    });
+
+    res.json({ success: true, message: 'Zone deleted successfully' });
+  } catch (error) {
+    console.error('Delete zone error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting zone' });
+  }
+});
+
+// ===== PARKING SPACE ROUTES =====
+
+app.get('/api/zones/:zoneId/spaces', authenticateToken, async (req, res) => {
+  try {
+    const { zoneId } = req.params;
 
     if (!mongoose.Types.ObjectId.isValid(zoneId)) {
       return res.status(400).json({ success: false, message: 'Invalid zone ID' });
     }
 
-    const zone = await Zone.findById(zoneId);
+    const window = resolveWindow(req.query);
+    if (!window) {
+      return res.status(400).json({ success: false, message: 'Invalid time window' });
+    }
+
+    const spaces = await ParkingSpace.find({ zoneId }).sort({ number: 1 });
+
+    const occupied = await Booking.distinct('spaceId', {
+      zoneId,
+      status: 'active',
+      spaceId: { $ne: null },
+      ...occupancyQuery(window.start, window.end),
+    });
+    const occupiedIds = new Set(occupied.map(id => id.toString()));
+
+    const formattedSpaces = spaces.map((space) => ({
+      id: space._id,
+      number: space.number,
+      label: space.label || `${space.number}`,
+      features: space.features,
+      isDisabled: space.isDisabled,
+      disabledReason: space.disabledReason,
+      occupied: occupiedIds.has(space._id.toString()),
+    }));
+
+    res.json({ success: true, spaces: formattedSpaces, window });
+  } catch (error) {
+    console.error('Get spaces error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching spaces' });
+  }
+});
+
+app.patch('/api/spaces/:spaceId', authenticateToken, requirePermission('zones:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.spaceId)) {
+      return res.status(400).json({ success: false, message: 'Invalid space ID' });
+    }
+
+    const { label, features } = req.body;
+
+    const updateData = {};
+    if (label !== undefined) updateData.label = label;
+    if (features !== undefined) updateData.features = features;
+
+    const space = await ParkingSpace.findByIdAndUpdate(
+      req.params.spaceId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!space) {
+      return res.status(404).json({ success: false, message: 'Space not found' });
+    }
+
+    res.json({ success: true, space });
+  } catch (error) {
+    console.error('Update space error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating space' });
+  }
+});
+
+app.patch('/api/spaces/:spaceId/disable', authenticateToken, requirePermission('zones:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.spaceId)) {
+      return res.status(400).json({ success: false, message: 'Invalid space ID' });
+    }
+
+    const space = await ParkingSpace.findById(req.params.spaceId);
+
+    if (!space) {
+      return res.status(404).json({ success: false, message: 'Space not found' });
+    }
+
+    if (space.isDisabled) {
+      return res.status(400).json({ success: false, message: 'Space already disabled' });
+    }
+
+    space.isDisabled = true;
+    space.disabledReason = req.body.reason || 'Maintenance';
+    space.disabledAt = new Date();
+    await space.save();
+
+    // Move upcoming bookings off the disabled space where another space is free
+    const affectedBookings = await Booking.find({
+      spaceId: space._id,
+      status: 'active',
+      endTime: { $gt: new Date() },
+    });
+
+    const reassigned = [];
+    const unassigned = [];
+
+    for (const booking of affectedBookings) {
+      const newSpace = await findFreeSpace(booking.zoneId, booking.startTime, booking.endTime, {
+        excludeBookingId: booking._id,
+      });
+
+      if (newSpace) {
+        booking.spaceId = newSpace._id;
+        booking.spaceNumber = newSpace.number;
+        reassigned.push(booking._id);
+
+        await Notification.create({
+          userId: booking.userId,
+          title: 'Parking Space Changed',
+          message: `Space ${space.number} at ${booking.zoneName} is closed for maintenance. You have been moved to space ${newSpace.number}`,
+          type: 'info',
+          booking: booking._id,
+        });
+      } else {
+        booking.spaceId = undefined;
+        booking.spaceNumber = undefined;
+        unassigned.push(booking._id);
+
+        await Notification.create({
+          userId: booking.userId,
+          title: 'Parking Space Unavailable',
+          message: `Space ${space.number} at ${booking.zoneName} is closed for maintenance. Please see the attendant for a space on arrival`,
+          type: 'warning',
+          booking: booking._id,
+        });
+      }
+
+      await booking.save();
+    }
+
+    await broadcastZoneUpdate(space.zoneId);
+
+    res.json({ success: true, space, reassigned, unassigned });
+  } catch (error) {
+    console.error('Disable space error:', error);
+    res.status(500).json({ success: false, message: 'Server error disabling space' });
+  }
+});
+
+app.patch('/api/spaces/:spaceId/enable', authenticateToken, requirePermission('zones:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.spaceId)) {
+      return res.status(400).json({ success: false, message: 'Invalid space ID' });
+    }
+
+    const space = await ParkingSpace.findByIdAndUpdate(
+      req.params.spaceId,
+      { isDisabled: false, $unset: { disabledReason: 1, disabledAt: 1 } },
+      { new: true }
+    );
+
+    if (!space) {
+      return res.status(404).json({ success: false, message: 'Space not found' });
+    }
+
+    await promoteWaitlist(space.zoneId);
+    await broadcastZoneUpdate(space.zoneId);
+
+    res.json({ success: true, space });
+  } catch (error) {
+    console.error('Enable space error:', error);
+    res.status(500).json({ success: false, message: 'Server error enabling space' });
+  }
+});
+
+// ===== BOOKING ROUTES (WITH TRANSACTION) =====
+
+app.get('/api/bookings/user/:userId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    // The bookings carry their QR check-in codes
+    if (req.user.id !== req.params.userId && !can(req.user, 'bookings:read')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    const bookings = await Booking.find({ userId: req.params.userId })
+      .sort({ createdAt: -1 })
+      .populate('zoneId', 'name')
+      .limit(100);
+
+    const formattedBookings = bookings.map((booking) => ({
+      id: booking._id,
+      zone: booking.zoneName,
+      spaceNumber: booking.spaceNumber,
+      date: booking.date.toISOString().split('T')[0],
+      time: (booking.startTime || booking.createdAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      status: booking.status,
+      qrCode: booking.qrCode,
+      duration: booking.duration,
+    }));
+
+    res.json(formattedBookings);
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching bookings' });
+  }
+});
+
+app.post('/api/bookings', authenticateToken, bookingValidation, handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { userId, zoneId, zoneName, date, duration, vehicleNumber } = req.body;
+
+    // Verify user owns this booking
+    if (req.user.id !== userId) {
+      await rollbackTransaction(session);
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    const zone = await Zone.findById(zoneId).session(session);
+    if (!zone) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    // Calculate start and end times. A given startTime decides the booking's
+    // date, so the two can't disagree.
+    let startTime;
+    if (req.body.startTime) {
+      startTime = new Date(req.body.startTime);
+    } else {
+      startTime = new Date(date);
+      startTime.setHours(8, 0, 0, 0); // Default start time 8:00 AM
+    }
+    const bookingDate = req.body.startTime ? startTime : new Date(date);
+    const bookingDay = bookingDate.toISOString().split('T')[0];
+
+    const booking = await createBooking({
+      user: req.user,
+      zone,
+      zoneName,
+      date: bookingDate,
+      startTime,
+      duration: parseInt(duration),
+      vehicleId: req.body.vehicleId,
+      vehicleNumber,
+      spaceId: req.body.spaceId,
+      spaceFeatures: req.body.spaceFeatures,
+    }, session);
+
+    await Notification.create([{
+      userId,
+      title: 'Booking Confirmed',
+      message: `Your parking slot at ${zoneName} (space ${booking.spaceNumber}) has been confirmed for ${bookingDay}`,
+      type: 'success',
+    }], { session });
+
+    await commitTransaction(session);
+
+    await broadcastZoneUpdate(zoneId, { start: booking.startTime, end: booking.endTime });
+
+    broadcast({
+      type: 'booking_created',
+      userId: userId,
+      zoneName: zoneName,
+      timestamp: new Date()
+    });
+
+    // Send push notification
+    try {
+      const user = await User.findById(userId);
+      if (user && user.pushToken) {
+        await sendPushNotification(
+          user.pushToken,
+          'Booking Confirmed! 🎉',
+          `Your parking slot at ${zoneName} has been confirmed for ${bookingDay}`,
+          { screen: 'bookings' }
+        );
+      }
+    } catch (pushError) {
+      console.error('Error sending push notification:', pushError);
+      // Don't fail the booking if push notification fails
+    }
+
+    const quota = await getBookingQuota(req.user.role);
+    const usage = await getQuotaUsage(userId, booking.startTime);
+
+    res.json({
+      success: true,
+      booking: {
+        id: booking._id,
+        zone: zoneName,
+        spaceNumber: booking.spaceNumber,
+        date: bookingDay,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        qrCode: booking.qrCode,
+        status: 'active',
+      },
+      quota: formatQuota(quota, usage),
+    });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Create booking error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating booking' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Cancel a booking that hasn't been used yet. The refund, ledger entry and
+// freed event slot are committed together with the cancellation.
+app.delete('/api/bookings/:bookingId', authenticateToken, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId).session(session);
+
+    if (!booking) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (booking.userId.toString() !== req.user.id && !can(req.user, 'bookings:override')) {
+      await rollbackTransaction(session);
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (booking.status !== 'active') {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Only active bookings can be cancelled' });
+    }
+
+    // A used booking isn't refundable, and its car is still holding the space
+    if (booking.checkInTime) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Booking has been checked in and can no longer be cancelled' });
+    }
+
+    const zoneId = booking.zoneId;
+    const zoneName = booking.zoneName;
+
+    const refund = await refundBooking(booking, {
+      cancelledByAdmin: booking.userId.toString() !== req.user.id,
+    }, session);
+
+    booking.status = 'cancelled';
+    await booking.save({ session });
+
+    if (booking.visitorId) {
+      await Visitor.updateOne({ _id: booking.visitorId }, { status: 'cancelled' }, { session });
+    }
+
+    await releaseEventSlot(booking, session);
+
+    await Notification.create([{
+      userId: booking.userId,
+      title: 'Booking Cancelled',
+      message: `Your parking slot at ${booking.zoneName} has been cancelled` +
+        (refund > 0 ? `. $${refund.toFixed(2)} has been refunded` : ''),
+      type: 'warning',
+    }], { session });
+
+    await commitTransaction(session);
+
+    if (booking.eventId) {
+      await broadcastEventUpdate(booking.eventId);
+    }
+
+    await promoteWaitlist(zoneId);
+    await broadcastZoneUpdate(zoneId, { start: booking.startTime, end: booking.endTime });
+
+    broadcast({
+      type: 'booking_cancelled',
+      userId: booking.userId.toString(),
+      zoneName: zoneName,
+      timestamp: new Date()
+    });
+
+    res.json({ success: true, message: 'Booking cancelled successfully', refund });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Cancel booking error:', error);
+    res.status(500).json({ success: false, message: 'Server error cancelling booking' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Move a booking's end out by whole hours. The extra time has to fit in the
+// zone around waitlist holds and event reservations; reminders, expiry and
+// overstay checks all follow endTime, so they move with it.
+app.patch('/api/bookings/:bookingId/extend', authenticateToken, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const additionalHours = parseInt(req.body.additionalHours);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    if (!additionalHours || additionalHours < 1 || additionalHours > 12) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Additional hours must be between 1 and 12' 
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId).session(session);
+
+    if (!booking) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (booking.userId.toString() !== req.user.id) {
+      await rollbackTransaction(session);
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (booking.status !== 'active') {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Can only extend active bookings' });
+    }
+
+    if (booking.permitId) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Permit visits run to the end of the day and cannot be extended' });
+    }
+
+    if (booking.endTime <= new Date()) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Booking has already ended' });
+    }
+
+    const zone = await Zone.findById(booking.zoneId).session(session);
+    if (!zone) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    const previousEnd = booking.endTime;
+    const extendedEnd = new Date(previousEnd.getTime() + additionalHours * HOUR_MS);
+
+    // Guest bookings were made under the visitor zone's rules, not the host's
+    if (!booking.visitorId) {
+      if (!booking.eventId) {
+        await checkZoneAccess(req.user, zone, { startTime: previousEnd, endTime: extendedEnd }, session);
+      }
+      await enforceBookingQuota(req.user, { startTime: previousEnd, endTime: extendedEnd, extension: true }, session);
+    }
+
+    const space = await planExtension(booking, zone, additionalHours, session);
+
+    // Repriced before endTime moves, so the charge covers only the extra hours
+    const charge = await getExtensionCharge(zone, booking.visitorId ? 'visitor' : req.user.role, booking, extendedEnd, session);
+    await recordTransaction({
+      userId: booking.userId,
+      booking,
+      type: 'adjustment',
+      amount: charge,
+      description: `Extension of ${additionalHours} hours at ${booking.zoneName}`,
+    }, session);
+
+    const spaceChanged = !booking.spaceId || booking.spaceId.toString() !== space._id.toString();
+    booking.spaceId = space._id;
+    booking.spaceNumber = space.number;
+    booking.endTime = extendedEnd;
+    booking.duration += additionalHours;
+    // The QR code carries the booking window, so the old one would stop
+    // working at the old end time
+    booking.qrCode = generateQRCode(booking);
+    await booking.save({ session });
+
+    const message = `Your booking at ${booking.zoneName} has been extended by ${additionalHours} hours` +
+      (spaceChanged ? `, in space ${booking.spaceNumber}` : '');
+
+    await Notification.create([{
+      userId: booking.userId,
+      title: 'Booking Extended',
+      message,
+      type: 'success',
+    }], { session });
+
+    await commitTransaction(session);
+
+    await broadcastZoneUpdate(booking.zoneId, { start: previousEnd, end: extendedEnd });
+
+    broadcast({
+      type: 'notification',
+      userId: booking.userId.toString(),
+      title: 'Booking Extended',
+      message: `Booking extended by ${additionalHours} hours`,
+      notificationType: 'success'
+    });
+
+    const quota = await getBookingQuota(req.user.role);
+    const usage = await getQuotaUsage(req.user.id, booking.startTime);
+
+    res.json({ success: true, booking, charge, spaceChanged, quota: formatQuota(quota, usage) });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Extend booking error:', error);
+    res.status(500).json({ success: false, message: 'Server error extending booking' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Change a booking's zone, date, time window, space or vehicle in place,
+// keeping its slot until the new one is confirmed. A date without a start
+// time keeps the booking's time of day.
+app.patch('/api/bookings/:bookingId', authenticateToken, bookingChangeValidation, handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId).session(session);
+
+    if (!booking) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    if (booking.userId.toString() !== req.user.id) {
+      await rollbackTransaction(session);
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (booking.status !== 'active' || booking.checkInTime) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Only active bookings that are not checked in can be changed' });
+    }
+
+    if (booking.permitId || booking.visitorId) {
+      await rollbackTransaction(session);
+      return res.status(400).json({
+        success: false,
+        message: booking.permitId ? 'Permit visits cannot be changed' : 'Guest bookings are changed through their visitor registration',
+      });
+    }
+
+    const { zoneId, date, duration, vehicleId, vehicleNumber, spaceId, spaceFeatures } = req.body;
+
+    // Event bookings follow the event's schedule and zones
+    if (booking.eventId && (zoneId || date || req.body.startTime || duration || spaceId || spaceFeatures)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Event bookings follow the event; only the vehicle can be changed' });
+    }
+
+    const zone = await Zone.findById(zoneId || booking.zoneId).session(session);
+    if (!zone) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    let startTime = new Date(booking.startTime);
+    if (req.body.startTime) {
+      startTime = new Date(req.body.startTime);
+    } else if (date) {
+      const day = new Date(date);
+      startTime.setFullYear(day.getFullYear(), day.getMonth(), day.getDate());
+    }
+
+    const { previous, charge, windowChanged } = await modifyBooking(booking, req.user, {
+      zone,
+      startTime,
+      duration: duration ? parseInt(duration) : booking.duration,
+      vehicleId,
+      vehicleNumber,
+      spaceId,
+      spaceFeatures,
+    }, session);
+
+    const changes = [];
+    if (windowChanged) changes.push(`${booking.zoneName} on ${booking.startTime.toLocaleString()}`);
+    if (booking.spaceNumber !== previous.spaceNumber) changes.push(`space ${booking.spaceNumber}`);
+    if (booking.vehicleNumber !== previous.vehicleNumber) changes.push(`vehicle ${booking.vehicleNumber}`);
+
+    await Notification.create([{
+      userId: booking.userId,
+      title: 'Booking Updated',
+      message: changes.length > 0
+        ? `Your booking has been changed to ${changes.join(', ')}`
+        : `Your booking at ${booking.zoneName} is unchanged`,
+      type: 'success',
+    }], { session });
+
+    await commitTransaction(session);
+
+    if (windowChanged) {
+      const sameZone = previous.zoneId.toString() === booking.zoneId.toString();
+
+      // The old window may have room for someone on the waitlist now
+      await promoteWaitlist(previous.zoneId);
+
+      if (sameZone) {
+        await broadcastZoneUpdate(booking.zoneId, {
+          start: new Date(Math.min(previous.startTime, booking.startTime)),
+          end: new Date(Math.max(previous.endTime, booking.endTime)),
+        });
+      } else {
+        await broadcastZoneUpdate(previous.zoneId, { start: previous.startTime, end: previous.endTime });
+        await broadcastZoneUpdate(booking.zoneId, { start: booking.startTime, end: booking.endTime });
+      }
+    }
+
+    broadcast({
+      type: 'booking_updated',
+      userId: booking.userId.toString(),
+      bookingId: booking._id.toString(),
+      zoneName: booking.zoneName,
+      timestamp: new Date()
+    });
+
+    const quota = await getBookingQuota(req.user.role);
+    const usage = await getQuotaUsage(req.user.id, booking.startTime);
+
+    res.json({
+      success: true,
+      booking: {
+        id: booking._id,
+        zoneId: booking.zoneId,
+        zone: booking.zoneName,
+        spaceNumber: booking.spaceNumber,
+        date: booking.date,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        duration: booking.duration,
+        vehicleNumber: booking.vehicleNumber,
+        qrCode: booking.qrCode,
+        status: booking.status,
+      },
+      previous,
+      charge,
+      qrCodeReissued: windowChanged,
+      quota: formatQuota(quota, usage),
+    });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Modify booking error:', error);
+    res.status(500).json({ success: false, message: 'Server error changing booking' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Public key gate scanners use to verify booking QR codes offline
+app.get('/api/qr/public-key', (req, res) => {
+  res.json({ success: true, algorithm: 'Ed25519', format: 'PQ1', publicKey: getQRPublicKey() });
+});
+
+// Both routes require the zone so a code scanned at the wrong zone is rejected
+app.post('/api/bookings/checkin', authenticateToken, scanValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { qrCode, zoneId } = req.body;
+
+    // Users can only check in their own bookings; attendants use /api/scan
+    const booking = await checkInBooking(qrCode, {
+      zoneId,
+      userId: can(req.user, 'bookings:override') ? undefined : req.user.id,
+    });
+
+    res.json({ success: true, message: 'Check-in successful', booking });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Check-in error:', error);
+    res.status(500).json({ success: false, message: 'Server error during check-in' });
+  }
+});
+
+app.post('/api/bookings/checkout', authenticateToken, scanValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { qrCode, zoneId } = req.body;
+
+    const { booking, overstay } = await checkOutBooking(qrCode, {
+      zoneId,
+      userId: can(req.user, 'bookings:override') ? undefined : req.user.id,
+    });
+
+    res.json({ success: true, message: 'Check-out successful', booking, overstay });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Check-out error:', error);
+    res.status(500).json({ success: false, message: 'Server error during check-out' });
+  }
+});
+
+app.get('/api/bookings/history', authenticateToken, async (req, res) => {
+  try {
+    const { status, startDate, endDate } = req.query;
+    let query = { userId: req.user.id };
+
+    if (status && ['active', 'completed', 'cancelled'].includes(status)) {
+      query.status = status;
+    }
+
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      
+      if (!isNaN(start.getTime()) && !isNaN(end.getTime())) {
+        query.date = { $gte: start, $lte: end };
+      }
+    }
+
+    const bookings = await Booking.find(query)
+      .sort({ date: -1 })
+      .populate('zoneId', 'name type')
+      .limit(100);
+
+    res.json({ success: true, bookings });
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching history' });
+  }
+});
+
+// The user's booking limits and how much of them is used, for the week
+// containing ?date (this week by default)
+app.get('/api/bookings/quota', authenticateToken, async (req, res) => {
+  try {
+    const at = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid date' });
+    }
+
+    const quota = await getBookingQuota(req.user.role);
+    const usage = await getQuotaUsage(req.user.id, at);
+
+    res.json({ success: true, quota: formatQuota(quota, usage) });
+  } catch (error) {
+    console.error('Get booking quota error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching booking quota' });
+  }
+});
+
+// ===== RECURRING BOOKING ROUTES =====
+
+// Occurrences are booked this many to a transaction, so a long series stays
+// well inside the transaction time limit
+const SERIES_BATCH_SIZE = 20;
+
+// Book a recurring series. Each batch of occurrences commits on its own; if
+// a later batch fails, the bookings already committed are kept and the
+// response (207) says which date the series stopped at and why.
+app.post('/api/bookings/series', authenticateToken, seriesValidation, handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { zoneId, rule, duration, vehicleNumber, spaceFeatures } = req.body;
+
+    let occurrences;
+    try {
+      occurrences = expandRule(rule, req.body.startTime);
+    } catch (ruleError) {
+      return res.status(400).json({ success: false, message: ruleError.message });
+    }
+
+    const zone = await Zone.findById(zoneId);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    // Checked once up front so an unregistered vehicle fails the whole series
+    const vehicle = await resolveBookingVehicle(req.user.id, { vehicleId: req.body.vehicleId, vehicleNumber });
+
+    // Saved with the first batch that books something, so the bookings can
+    // reference it before then
+    const series = new BookingSeries({
+      userId: req.user.id,
+      zoneId,
+      zoneName: zone.name,
+      rule,
+      startTime: new Date(req.body.startTime),
+      duration: parseInt(duration),
+      vehicleNumber: vehicle.plate,
+    });
+
+    // Each occurrence goes through the same checks as a single booking.
+    // Occurrences that clash or are full are skipped rather than failing
+    // the whole series; an access policy denial or a quota limit does fail
+    // it, so a series is never silently cut short by the user's quota.
+    const created = [];
+    const skipped = [];
+    let stopped = null;
+
+    for (let index = 0; index < occurrences.length && !stopped; index += SERIES_BATCH_SIZE) {
+      const batch = occurrences.slice(index, index + SERIES_BATCH_SIZE);
+      const batchCreated = [];
+      const batchSkipped = [];
+
+      session.startTransaction();
+      try {
+        for (const occurrenceStart of batch) {
+          try {
+            const booking = await createBooking({
+              user: req.user,
+              zone,
+              startTime: occurrenceStart,
+              duration: parseInt(duration),
+              vehicleId: vehicle._id,
+              spaceFeatures,
+              seriesId: series._id,
+            }, session);
+            batchCreated.push(booking);
+          } catch (occurrenceError) {
+            if (!occurrenceError.statusCode || occurrenceError.statusCode === 403 ||
+                occurrenceError.details.reason === 'quota') {
+              occurrenceError.occurrenceStart = occurrenceStart;
+              throw occurrenceError;
+            }
+            batchSkipped.push({ date: occurrenceStart, reason: occurrenceError.message });
+          }
+        }
+
+        if (batchCreated.length > 0 && series.isNew) {
+          await series.save({ session });
+        }
+
+        await commitTransaction(session);
+        created.push(...batchCreated);
+        skipped.push(...batchSkipped);
+      } catch (batchError) {
+        await rollbackTransaction(session);
+
+        // Nothing committed yet: fail the request as a whole
+        if (created.length === 0) throw batchError;
+
+        if (!batchError.statusCode) {
+          console.error('Create booking series batch error:', batchError);
+        }
+        stopped = {
+          date: batchError.occurrenceStart || batch[0],
+          reason: batchError.statusCode ? batchError.message : 'Server error creating booking',
+        };
+      }
+    }
+
+    if (created.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the occurrences in this series could be booked',
+        skipped,
+      });
+    }
+
+    series.skippedDates = skipped;
+    await series.save();
+
+    await Notification.create({
+      userId: req.user.id,
+      title: stopped ? 'Recurring Booking Incomplete' : 'Recurring Booking Confirmed',
+      message: `${created.length} bookings at ${zone.name} have been confirmed` +
+        (skipped.length > 0 ? ` (${skipped.length} dates could not be booked)` : '') +
+        (stopped ? `. Booking stopped at ${stopped.date.toDateString()}: ${stopped.reason}` : ''),
+      type: stopped ? 'warning' : 'success',
+    });
+
+    await broadcastZoneUpdate(zoneId);
+
+    broadcast({
+      type: 'booking_created',
+      userId: req.user.id,
+      zoneName: zone.name,
+      seriesId: series._id,
+      timestamp: new Date()
+    });
+
+    res.status(stopped ? 207 : 200).json({
+      success: !stopped,
+      ...(stopped && {
+        message: `Booked ${created.length} of ${occurrences.length} occurrences before stopping: ${stopped.reason}`,
+        stopped,
+      }),
+      series: {
+        id: series._id,
+        zone: zone.name,
+        rule: series.rule,
+        duration: series.duration,
+        status: series.status,
+      },
+      bookings: created.map((booking) => ({
+        id: booking._id,
+        spaceNumber: booking.spaceNumber,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        qrCode: booking.qrCode,
+      })),
+      skipped,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Create booking series error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating booking series' });
+  } finally {
+    session.endSession();
+  }
+});
+
+app.get('/api/bookings/series', authenticateToken, async (req, res) => {
+  try {
+    const seriesList = await BookingSeries.find({ userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    const formattedSeries = await Promise.all(seriesList.map(async (series) => ({
+      id: series._id,
+      zone: series.zoneName,
+      rule: series.rule,
+      startTime: series.startTime,
+      duration: series.duration,
+      status: series.status,
+      upcoming: await Booking.countDocuments({
+        seriesId: series._id,
+        status: 'active',
+        endTime: { $gt: new Date() },
+      }),
+    })));
+
+    res.json({ success: true, series: formattedSeries });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching booking series' });
+  }
+});
+
+app.get('/api/bookings/series/:seriesId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.seriesId)) {
+      return res.status(400).json({ success: false, message: 'Invalid series ID' });
+    }
+
+    const series = await BookingSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Booking series not found' });
+    }
+
+    if (series.userId.toString() !== req.user.id && !can(req.user, 'bookings:override')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    const occurrences = await Booking.find({ seriesId: series._id })
+      .sort({ startTime: 1 })
+      .select('startTime endTime status spaceNumber qrCode checkInTime checkOutTime');
+
+    res.json({ success: true, series, occurrences });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching booking series' });
+  }
+});
+
+// Cancel every remaining occurrence of a series. Single occurrences are
+// cancelled through DELETE /api/bookings/:bookingId like any other booking.
+app.delete('/api/bookings/series/:seriesId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.seriesId)) {
+      return res.status(400).json({ success: false, message: 'Invalid series ID' });
+    }
+
+    const series = await BookingSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Booking series not found' });
+    }
+
+    if (series.userId.toString() !== req.user.id && !can(req.user, 'bookings:override')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Booking series already cancelled' });
+    }
+
+    // Occurrences already checked in are left to run their course
+    const occurrences = await Booking.find({
+      seriesId: series._id,
+      status: 'active',
+      checkInTime: null,
+      endTime: { $gt: new Date() },
+    });
+
+    let refunded = 0;
+    for (const booking of occurrences) {
+      refunded += await refundBooking(booking, {
+        cancelledByAdmin: series.userId.toString() !== req.user.id,
+      });
+      booking.status = 'cancelled';
+      await booking.save();
+    }
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+
+    await Notification.create({
+      userId: series.userId,
+      title: 'Recurring Booking Cancelled',
+      message: `${occurrences.length} upcoming bookings at ${series.zoneName} have been cancelled` +
+        (refunded > 0 ? `. $${roundCurrency(refunded).toFixed(2)} has been refunded` : ''),
+      type: 'warning',
+    });
+
+    await promoteWaitlist(series.zoneId);
+    await broadcastZoneUpdate(series.zoneId);
+
+    broadcast({
+      type: 'booking_cancelled',
+      userId: series.userId.toString(),
+      zoneName: series.zoneName,
+      seriesId: series._id,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking series cancelled successfully',
+      cancelledOccurrences: occurrences.length,
+      refund: roundCurrency(refunded),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Cancel booking series error:', error);
+    res.status(500).json({ success: false, message: 'Server error cancelling booking series' });
+  }
+});
+
+// ===== WAITLIST ROUTES =====
+
+app.post('/api/waitlist', authenticateToken, waitlistValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { zoneId, duration, vehicleNumber } = req.body;
+
+    const zone = await Zone.findById(zoneId);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(startTime.getTime() + parseInt(duration) * HOUR_MS);
+
+    if (endTime <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Booking window has already ended' });
+    }
+
+    await checkZoneAccess(req.user, zone, { startTime, endTime });
+    const vehicle = await resolveBookingVehicle(req.user.id, { vehicleId: req.body.vehicleId, vehicleNumber });
+
+    const activeBookings = await countPeakBookings(zoneId, startTime, endTime);
+    const capacity = await getZoneCapacity(zone);
+
+    if (activeBookings < capacity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slots are available for this time window, please book directly',
+      });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      userId: req.user.id,
+      zoneId,
+      status: { $in: ['waiting', 'offered'] },
+      ...overlapQuery(startTime, endTime),
+    });
+
+    if (existingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this zone in this time window',
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      userId: req.user.id,
+      zoneId,
+      zoneName: zone.name,
+      startTime,
+      endTime,
+      duration: parseInt(duration),
+      vehicleNumber: vehicle.plate,
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      zoneId,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt },
+      ...overlapQuery(startTime, endTime),
+    });
+
+    await Notification.create({
+      userId: req.user.id,
+      title: 'Joined Waitlist',
+      message: `You are number ${position} on the waitlist for ${zone.name}`,
+      type: 'info',
+    });
+
+    res.json({ success: true, entry, position });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error joining waitlist' });
+  }
+});
+
+app.get('/api/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      userId: req.user.id,
+      status: { $in: ['waiting', 'offered'] },
+    }).sort({ startTime: 1 });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching waitlist' });
+  }
+});
+
+app.get('/api/zones/:zoneId/waitlist', authenticateToken, requirePermission('waitlist:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    }
+
+    const entries = await WaitlistEntry.find({
+      zoneId: req.params.zoneId,
+      status: { $in: ['waiting', 'offered'] },
+    })
+      .populate('userId', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Get zone waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching waitlist' });
+  }
+});
+
+app.post('/api/waitlist/:entryId/accept', authenticateToken, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid waitlist entry ID' });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.entryId).session(session);
+
+    if (!entry) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    }
+
+    if (entry.userId.toString() !== req.user.id) {
+      await rollbackTransaction(session);
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (entry.status !== 'offered' || entry.holdExpiresAt <= new Date()) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'No active hold for this waitlist entry' });
+    }
+
+    const zone = await Zone.findById(entry.zoneId).session(session);
+    if (!zone) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    const booking = await createBooking({
+      user: req.user,
+      zone,
+      startTime: entry.startTime,
+      duration: entry.duration,
+      vehicleNumber: entry.vehicleNumber,
+      holdId: entry._id,
+    }, session);
+
+    entry.status = 'accepted';
+    entry.bookingId = booking._id;
+    await entry.save({ session });
+
+    await Notification.create([{
+      userId: entry.userId,
+      title: 'Booking Confirmed',
+      message: `Your parking slot at ${zone.name} (space ${booking.spaceNumber}) has been confirmed`,
+      type: 'success',
+      booking: booking._id,
+    }], { session });
+
+    await commitTransaction(session);
+
+    await broadcastZoneUpdate(zone._id, { start: booking.startTime, end: booking.endTime });
+
+    broadcast({
+      type: 'booking_created',
+      userId: req.user.id,
+      zoneName: zone.name,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      booking: {
+        id: booking._id,
+        zone: zone.name,
+        spaceNumber: booking.spaceNumber,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        qrCode: booking.qrCode,
+        status: booking.status,
+      },
+    });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Accept waitlist hold error:', error);
+    res.status(500).json({ success: false, message: 'Server error accepting waitlist hold' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Leave the waitlist, or decline a hold so it passes to the next user
+app.delete('/api/waitlist/:entryId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid waitlist entry ID' });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    }
+
+    if (entry.userId.toString() !== req.user.id && !can(req.user, 'bookings:override')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({ success: false, message: 'Waitlist entry is no longer open' });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    entry.status = wasOffered ? 'declined' : 'cancelled';
+    await entry.save();
+
+    if (wasOffered) {
+      await promoteWaitlist(entry.zoneId);
+      await broadcastZoneUpdate(entry.zoneId, { start: entry.startTime, end: entry.endTime });
+    }
+
+    res.json({ success: true, message: 'Removed from waitlist' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ success: false, message: 'Server error leaving waitlist' });
+  }
+});
+
+// ===== VEHICLE ROUTES =====
+
+app.get('/api/vehicles', authenticateToken, async (req, res) => {
+  try {
+    const vehicles = await Vehicle.find({ userId: req.user.id }).sort({ createdAt: 1 });
+    res.json({ success: true, vehicles });
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching vehicles' });
+  }
+});
+
+app.post('/api/vehicles', authenticateToken, vehicleValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { plate, make, colour, permitType } = req.body;
+    const normalizedPlate = normalizePlate(plate);
+
+    if (!normalizedPlate) {
+      return res.status(400).json({ success: false, message: 'Plate must contain letters or digits' });
+    }
+
+    const existing = await Vehicle.findOne({ userId: req.user.id, normalizedPlate });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'This vehicle is already registered' });
+    }
+
+    const vehicle = await Vehicle.create({
+      userId: req.user.id,
+      plate,
+      normalizedPlate,
+      make,
+      colour,
+      permitType,
+    });
+
+    res.status(201).json({ success: true, vehicle });
+  } catch (error) {
+    console.error('Add vehicle error:', error);
+    res.status(500).json({ success: false, message: 'Server error adding vehicle' });
+  }
+});
+
+// Owner asks for a vehicle to be verified, e.g. with its registration number
+app.post('/api/vehicles/:vehicleId/verify', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.vehicleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid vehicle ID' });
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: req.params.vehicleId, userId: req.user.id });
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+
+    if (vehicle.verificationStatus === 'verified') {
+      return res.status(400).json({ success: false, message: 'Vehicle is already verified' });
+    }
+
+    const { registrationDocument } = req.body;
+    if (!registrationDocument || typeof registrationDocument !== 'string' || !registrationDocument.trim()) {
+      return res.status(400).json({ success: false, message: 'Registration document is required' });
+    }
+
+    vehicle.registrationDocument = registrationDocument.trim().substring(0, 200);
+    vehicle.verificationStatus = 'pending';
+    vehicle.verificationNote = undefined;
+    await vehicle.save();
+
+    res.json({ success: true, message: 'Verification requested', vehicle });
+  } catch (error) {
+    console.error('Request vehicle verification error:', error);
+    res.status(500).json({ success: false, message: 'Server error requesting verification' });
+  }
+});
+
+app.delete('/api/vehicles/:vehicleId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.vehicleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid vehicle ID' });
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: req.params.vehicleId, userId: req.user.id });
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+
+    const upcomingBookings = await Booking.countDocuments({
+      vehicleId: vehicle._id,
+      status: 'active',
+      endTime: { $gt: new Date() },
+    });
+
+    if (upcomingBookings > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This vehicle has ${upcomingBookings} upcoming bookings. Cancel them before removing it.`,
+      });
+    }
+
+    await vehicle.deleteOne();
+
+    res.json({ success: true, message: 'Vehicle removed' });
+  } catch (error) {
+    console.error('Remove vehicle error:', error);
+    res.status(500).json({ success: false, message: 'Server error removing vehicle' });
+  }
+});
+
+app.get('/api/admin/vehicles', authenticateToken, requirePermission('vehicles:verify'), async (req, res) => {
+  try {
+    const { status, plate, page = 1, limit = 50 } = req.query;
+    let query = {};
+
+    if (status && ['unverified', 'pending', 'verified', 'rejected'].includes(status)) {
+      query.verificationStatus = status;
+    }
+
+    if (plate) {
+      query.normalizedPlate = normalizePlate(plate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [vehicles, total] = await Promise.all([
+      Vehicle.find(query)
+        .populate('userId', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Vehicle.countDocuments(query)
+    ]);
+
+    res.json({ 
+      success: true, 
+      vehicles,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get all vehicles error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching vehicles' });
+  }
+});
+
+app.patch('/api/admin/vehicles/:vehicleId/verification', authenticateToken, requirePermission('vehicles:verify'), vehicleDecisionValidation, handleValidationErrors, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.vehicleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid vehicle ID' });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+
+    const { decision, note } = req.body;
+
+    vehicle.verificationStatus = decision;
+    vehicle.verificationNote = note;
+    vehicle.verifiedBy = req.user.id;
+    vehicle.verifiedAt = new Date();
+    await vehicle.save();
+
+    await notifyUser(vehicle.userId, {
+      title: decision === 'verified' ? 'Vehicle Verified' : 'Vehicle Verification Rejected',
+      message: decision === 'verified'
+        ? `Your vehicle ${vehicle.plate} has been verified`
+        : `Your vehicle ${vehicle.plate} could not be verified` + (note ? `: ${note}` : ''),
+      type: decision === 'verified' ? 'success' : 'warning',
+    });
+
+    res.json({ success: true, vehicle });
+  } catch (error) {
+    console.error('Verify vehicle error:', error);
+    res.status(500).json({ success: false, message: 'Server error verifying vehicle' });
+  }
+});
+
+// ===== PERMIT ROUTES =====
+
+// Length of each permit period
+const PERMIT_PERIOD_MONTHS = { semester: 6, annual: 12 };
+
+function formatPermit(permit) {
+  return {
+    id: permit._id,
+    zoneId: permit.zoneId,
+    zoneName: permit.zoneName,
+    zoneType: permit.zoneType,
+    vehicleId: permit.vehicleId,
+    plate: permit.plate,
+    period: permit.period,
+    validFrom: permit.validFrom,
+    validUntil: permit.validUntil,
+    price: permit.price,
+    totalAmount: permit.totalAmount,
+    status: permit.status,
+    qrCode: permit.status === 'approved' ? permit.qrCode : undefined,
+    decisionNote: permit.decisionNote,
+    createdAt: permit.createdAt,
+  };
+}
+
+app.post('/api/permits', authenticateToken, permitValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { zoneId, period, vehicleId, vehicleNumber } = req.body;
+
+    const zone = await Zone.findById(zoneId);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    // Permits aren't tied to booking times, so only policies without a
+    // time window apply
+    await checkZoneAccess(req.user, zone);
+
+    const price = zone.permitPrices && zone.permitPrices[period];
+    if (price === undefined || price === null) {
+      return res.status(400).json({ success: false, message: `${zone.name} does not sell ${period} permits` });
+    }
+
+    const vehicle = await resolveBookingVehicle(req.user.id, { vehicleId, vehicleNumber });
+
+    const validFrom = req.body.validFrom ? new Date(req.body.validFrom) : new Date();
+    validFrom.setHours(0, 0, 0, 0);
+    const validUntil = new Date(validFrom);
+    validUntil.setMonth(validUntil.getMonth() + PERMIT_PERIOD_MONTHS[period]);
+
+    if (validUntil <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Permit period has already ended' });
+    }
+
+    const existing = await Permit.findOne({
+      vehicleId: vehicle._id,
+      status: { $in: ['pending', 'approved'] },
+      validFrom: { $lt: validUntil },
+      validUntil: { $gt: validFrom },
+    });
+
+    if (existing) {
+      return res.status(400).json({ success: false, message: `${vehicle.plate} already has a permit for this period` });
+    }
+
+    const permit = await Permit.create({
+      userId: req.user.id,
+      vehicleId: vehicle._id,
+      plate: vehicle.plate,
+      zoneId: zone._id,
+      zoneName: zone.name,
+      zoneType: zone.type,
+      period,
+      validFrom,
+      validUntil,
+      price,
+    });
+
+    await Notification.create({
+      userId: req.user.id,
+      title: 'Permit Requested',
+      message: `Your ${period} permit for ${zone.name} is awaiting approval`,
+      type: 'info',
+    });
+
+    res.status(201).json({ success: true, permit: formatPermit(permit) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Request permit error:', error);
+    res.status(500).json({ success: false, message: 'Server error requesting permit' });
+  }
+});
+
+app.get('/api/permits', authenticateToken, async (req, res) => {
+  try {
+    const permits = await Permit.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.json({ success: true, permits: permits.map(formatPermit) });
+  } catch (error) {
+    console.error('Get permits error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching permits' });
+  }
+});
+
+app.delete('/api/permits/:permitId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.permitId)) {
+      return res.status(400).json({ success: false, message: 'Invalid permit ID' });
+    }
+
+    const permit = await Permit.findById(req.params.permitId);
+    if (!permit) {
+      return res.status(404).json({ success: false, message: 'Permit not found' });
+    }
+
+    if (permit.userId.toString() !== req.user.id && !can(req.user, 'permits:manage')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (!['pending', 'approved'].includes(permit.status)) {
+      return res.status(400).json({ success: false, message: `Permit is already ${permit.status}` });
+    }
+
+    // Approved permits are refunded for the unused part of the period
+    let refund = 0;
+    if (permit.status === 'approved') {
+      const now = new Date();
+      const usedFrom = now > permit.validFrom ? now : permit.validFrom;
+      const unusedShare = Math.max(0, permit.validUntil - usedFrom) / (permit.validUntil - permit.validFrom);
+      refund = roundCurrency(Math.min(permit.totalAmount, permit.totalAmount * unusedShare));
+
+      await recordTransaction({
+        userId: permit.userId,
+        permit,
+        type: 'refund',
+        amount: -refund,
+        description: `Refund for cancelled ${permit.period} permit at ${permit.zoneName}`,
+      });
+    }
+
+    const wasApproved = permit.status === 'approved';
+    permit.status = 'cancelled';
+    permit.cancelledAt = new Date();
+    await permit.save();
+
+    await Notification.create({
+      userId: permit.userId,
+      title: 'Permit Cancelled',
+      message: `Your ${permit.period} permit for ${permit.zoneName} has been cancelled` +
+        (refund > 0 ? `. $${refund.toFixed(2)} has been refunded.` : ''),
+      type: 'cancellation',
+    });
+
+    // The permit's reserved space is free again
+    if (wasApproved) {
+      await promoteWaitlist(permit.zoneId);
+      await broadcastZoneUpdate(permit.zoneId);
+    }
+
+    res.json({ success: true, message: 'Permit cancelled', refund });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Cancel permit error:', error);
+    res.status(500).json({ success: false, message: 'Server error cancelling permit' });
+  }
+});
+
+app.get('/api/admin/permits', authenticateToken, requirePermission('permits:manage'), async (req, res) => {
+  try {
+    const { status, zoneId, page = 1, limit = 50 } = req.query;
+    let query = {};
+
+    if (status && ['pending', 'approved', 'rejected', 'cancelled', 'expired'].includes(status)) {
+      query.status = status;
+    }
+
+    if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
+      query.zoneId = zoneId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [permits, total] = await Promise.all([
+      Permit.find(query)
+        .populate('userId', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Permit.countDocuments(query)
+    ]);
+
+    res.json({ 
+      success: true, 
+      permits,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get all permits error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching permits' });
+  }
+});
+
+app.patch('/api/admin/permits/:permitId', authenticateToken, requirePermission('permits:manage'), permitDecisionValidation, handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.permitId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid permit ID' });
+    }
+
+    const permit = await Permit.findById(req.params.permitId).session(session);
+    if (!permit) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Permit not found' });
+    }
+
+    if (permit.status !== 'pending') {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: `Permit is already ${permit.status}` });
+    }
+
+    const { decision, note } = req.body;
+
+    if (decision === 'approved') {
+      const zone = await Zone.findById(permit.zoneId).session(session);
+      if (!zone) {
+        await rollbackTransaction(session);
+        return res.status(404).json({ success: false, message: 'Zone not found' });
+      }
+
+      // The permit needs a free space for its whole validity period
+      const occupied = await countPeakBookings(zone._id, permit.validFrom, permit.validUntil, session);
+      const capacity = await getZoneCapacity(zone, session);
+
+      if (occupied >= capacity) {
+        await rollbackTransaction(session);
+        return res.status(400).json({
+          success: false,
+          message: `${zone.name} has no space left to reserve for this permit period`,
+        });
+      }
+
+      await recordTransaction({
+        userId: permit.userId,
+        permit,
+        type: 'charge',
+        amount: permit.price,
+        description: `${permit.period} permit for ${permit.zoneName}`,
+      }, session);
+
+      permit.qrCode = generatePermitQRCode(permit);
+    }
+
+    permit.status = decision;
+    permit.decisionNote = note;
+    permit.decidedBy = req.user.id;
+    permit.decidedAt = new Date();
+    await permit.save({ session });
+
+    await commitTransaction(session);
+
+    await notifyUser(permit.userId, {
+      title: decision === 'approved' ? 'Permit Approved' : 'Permit Rejected',
+      message: decision === 'approved'
+        ? `Your ${permit.period} permit for ${permit.zoneName} is valid until ${permit.validUntil.toLocaleDateString()}`
+        : `Your ${permit.period} permit for ${permit.zoneName} was not approved` + (note ? `: ${note}` : ''),
+      type: decision === 'approved' ? 'success' : 'warning',
+      data: { screen: 'permits' },
+    });
+
+    if (decision === 'approved') {
+      await broadcastZoneUpdate(permit.zoneId);
+    }
+
+    res.json({ success: true, permit: formatPermit(permit) });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Decide permit error:', error);
+    res.status(500).json({ success: false, message: 'Server error deciding permit' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// ===== VISITOR ROUTES =====
+
+// Hours a guest is booked for when the host gives no duration
+const DEFAULT_VISIT_HOURS = 8;
+
+function formatVisitor(visitor, booking) {
+  return {
+    id: visitor._id,
+    name: visitor.name,
+    email: visitor.email,
+    phone: visitor.phone,
+    plate: visitor.plate,
+    visitDate: visitor.visitDate,
+    status: visitor.status,
+    arrivedAt: visitor.arrivedAt,
+    bookingId: visitor.bookingId,
+    passUrl: `/api/visitor-passes/${visitor.passToken}`,
+    booking: booking ? {
+      zoneName: booking.zoneName,
+      spaceNumber: booking.spaceNumber,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      status: booking.status,
+      qrCode: booking.qrCode,
+    } : undefined,
+  };
+}
+
+app.post('/api/visitors', authenticateToken, requirePermission('visitors:register'), visitorValidation, handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { name, email, phone, plate, zoneId, date } = req.body;
+
+    const zone = await Zone.findById(zoneId).session(session);
+    if (!zone) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    const visitDate = new Date(date);
+    let startTime;
+    if (req.body.startTime) {
+      startTime = new Date(req.body.startTime);
+    } else {
+      startTime = new Date(visitDate);
+      startTime.setHours(8, 0, 0, 0); // Default start time 8:00 AM
+    }
+
+    const visitor = new Visitor({
+      hostId: req.user.id,
+      name,
+      email,
+      phone,
+      plate,
+      visitDate,
+      zoneId: zone._id,
+      passToken: crypto.randomBytes(24).toString('base64url'),
+    });
+
+    const booking = await createBooking({
+      user: req.user,
+      zone,
+      date: visitDate,
+      startTime,
+      duration: parseInt(req.body.duration) || DEFAULT_VISIT_HOURS,
+      visitor,
+    }, session);
+
+    visitor.bookingId = booking._id;
+    await visitor.save({ session });
+
+    await Notification.create([{
+      userId: req.user.id,
+      title: 'Visitor Registered',
+      message: `${name} is booked into ${zone.name} (space ${booking.spaceNumber}) on ${visitDate.toLocaleDateString()}`,
+      type: 'success',
+      booking: booking._id,
+    }], { session });
+
+    await commitTransaction(session);
+
+    await broadcastZoneUpdate(zone._id, { start: booking.startTime, end: booking.endTime });
+
+    res.status(201).json({ success: true, visitor: formatVisitor(visitor, booking) });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Register visitor error:', error);
+    res.status(500).json({ success: false, message: 'Server error registering visitor' });
+  } finally {
+    session.endSession();
+  }
+});
+
+app.get('/api/visitors', authenticateToken, async (req, res) => {
+  try {
+    const visitors = await Visitor.find({ hostId: req.user.id }).sort({ visitDate: -1 });
+    const bookings = await Booking.find({ _id: { $in: visitors.map(visitor => visitor.bookingId) } });
+    const bookingsById = new Map(bookings.map(booking => [booking._id.toString(), booking]));
+
+    res.json({
+      success: true,
+      visitors: visitors.map(visitor => formatVisitor(visitor, bookingsById.get(String(visitor.bookingId)))),
+    });
+  } catch (error) {
+    console.error('Get visitors error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching visitors' });
+  }
+});
+
+app.delete('/api/visitors/:visitorId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.visitorId)) {
+      return res.status(400).json({ success: false, message: 'Invalid visitor ID' });
+    }
+
+    const visitor = await Visitor.findById(req.params.visitorId);
+    if (!visitor) {
+      return res.status(404).json({ success: false, message: 'Visitor not found' });
+    }
+
+    if (visitor.hostId.toString() !== req.user.id && !can(req.user, 'visitors:manage')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    if (visitor.status !== 'registered') {
+      return res.status(400).json({
+        success: false,
+        message: visitor.status === 'arrived' ? 'Visitor has already arrived' : 'Visitor already cancelled',
+      });
+    }
+
+    const booking = await Booking.findById(visitor.bookingId);
+    let refund = 0;
+
+    if (booking && booking.status === 'active') {
+      refund = await refundBooking(booking, {
+        cancelledByAdmin: visitor.hostId.toString() !== req.user.id,
+      });
+
+      booking.status = 'cancelled';
+      await booking.save();
+    }
+
+    visitor.status = 'cancelled';
+    await visitor.save();
+
+    if (booking) {
+      await promoteWaitlist(booking.zoneId);
+      await broadcastZoneUpdate(booking.zoneId, { start: booking.startTime, end: booking.endTime });
+    }
+
+    res.json({ success: true, message: 'Visitor registration cancelled', refund });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Cancel visitor error:', error);
+    res.status(500).json({ success: false, message: 'Server error cancelling visitor' });
+  }
+});
+
+// Public guest pass; the link itself is the credential, so no account is needed
+app.get('/api/visitor-passes/:passToken', async (req, res) => {
+  try {
+    const visitor = await Visitor.findOne({ passToken: req.params.passToken })
+      .populate('hostId', 'name');
+
+    if (!visitor) {
+      return res.status(404).json({ success: false, message: 'Visitor pass not found' });
+    }
+
+    const booking = await Booking.findById(visitor.bookingId);
+    const active = visitor.status !== 'cancelled' && booking && booking.status === 'active';
+
+    res.json({
+      success: true,
+      pass: {
+        name: visitor.name,
+        plate: visitor.plate,
+        host: visitor.hostId ? visitor.hostId.name : undefined,
+        zoneName: booking && booking.zoneName,
+        spaceNumber: booking && booking.spaceNumber,
+        startTime: booking && booking.startTime,
+        endTime: booking && booking.endTime,
+        status: visitor.status,
+        qrCode: active ? booking.qrCode : undefined,
+      },
+    });
+  } catch (error) {
+    console.error('Get visitor pass error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching visitor pass' });
+  }
+});
+
+// ===== PAYMENT ROUTES =====
+
+app.get('/api/payments/history', authenticateToken, async (req, res) => {
+  try {
+    const transactions = await Transaction.find({ userId: req.user.id })
+      .populate('bookingId', 'zoneName startTime endTime status')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    const balance = await Transaction.totalRevenue({
+      userId: new mongoose.Types.ObjectId(req.user.id),
+    });
+    const user = await User.findById(req.user.id).select('balance');
+
+    res.json({
+      success: true,
+      transactions,
+      totalPaid: balance,
+      outstandingFines: user ? user.balance : 0,
+    });
+  } catch (error) {
+    console.error('Get payment history error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching payment history' });
+  }
+});
+
+// ===== PRICING ROUTES =====
+
+const PRICING_RULE_FIELDS = ['name', 'type', 'startHour', 'endHour', 'daysOfWeek', 'multiplier',
+  'surchargePerHour', 'role', 'discountPercent', 'amount', 'isActive'];
+
+// Check the fields each rule type depends on are set
+function validatePricingRule(rule) {
+  switch (rule.type) {
+    case 'time-of-day':
+      if (rule.startHour === undefined || rule.endHour === undefined) {
+        return 'Time-of-day rules need a startHour and endHour';
+      }
+      if (rule.startHour === rule.endHour) {
+        return 'startHour and endHour must differ';
+      }
+      return null;
+    case 'event-day':
+      return rule.surchargePerHour > 0 ? null : 'Event-day rules need a surchargePerHour';
+    case 'role-discount':
+      if (!rule.role || rule.discountPercent === undefined) {
+        return 'Role discount rules need a role and discountPercent';
+      }
+      return null;
+    case 'daily-cap':
+      return rule.amount === undefined ? 'Daily cap rules need an amount' : null;
+    default:
+      return null;
+  }
+}
+
+app.post('/api/bookings/quote', authenticateToken, quoteValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { zoneId, date, duration } = req.body;
+
+    const zone = await Zone.findById(zoneId);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    // Same start time defaults as POST /api/bookings
+    let startTime;
+    if (req.body.startTime) {
+      startTime = new Date(req.body.startTime);
+    } else if (date) {
+      startTime = new Date(date);
+      startTime.setHours(8, 0, 0, 0);
+    } else {
+      return res.status(400).json({ success: false, message: 'Date or start time is required' });
+    }
+
+    const endTime = new Date(startTime.getTime() + parseInt(duration) * HOUR_MS);
+    const quote = await getPriceQuote(zone, req.user.role, startTime, endTime);
+
+    res.json({
+      success: true,
+      quote: {
+        zoneId: zone._id,
+        zoneName: zone.name,
+        startTime,
+        endTime,
+        currency: 'USD',
+        ...quote,
+      },
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({ success: false, message: 'Server error calculating quote' });
+  }
+});
+
+app.get('/api/zones/:zoneId/pricing-rules', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    }
+
+    const rules = await PricingRule.find({ zoneId: req.params.zoneId }).sort({ type: 1, createdAt: 1 });
+
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Get pricing rules error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching pricing rules' });
+  }
+});
+
+app.post('/api/zones/:zoneId/pricing-rules', authenticateToken, requirePermission('pricing:manage'), pricingRuleValidation, handleValidationErrors, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    }
+
+    const zone = await Zone.findById(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    const fields = {};
+    PRICING_RULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const invalid = validatePricingRule(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const rule = await PricingRule.create({ ...fields, zoneId: zone._id });
+
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error('Create pricing rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating pricing rule' });
+  }
+});
+
+app.patch('/api/pricing-rules/:ruleId', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.ruleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+    }
+
+    const rule = await PricingRule.findById(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+    }
+
+    PRICING_RULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    const invalid = validatePricingRule(rule);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    await rule.save();
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update pricing rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating pricing rule' });
+  }
+});
+
+app.delete('/api/pricing-rules/:ruleId', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.ruleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+    }
+
+    const rule = await PricingRule.findByIdAndDelete(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+    }
+
+    res.json({ success: true, message: 'Pricing rule deleted' });
+  } catch (error) {
+    console.error('Delete pricing rule error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting pricing rule' });
+  }
+});
+
+// ===== ACCESS POLICY ROUTES =====
+
+const ACCESS_POLICY_FIELDS = ['name', 'effect', 'zoneId', 'zoneType', 'roles', 'userIds', 'departments',
+  'startHour', 'endHour', 'daysOfWeek', 'maxConcurrentBookings', 'priority', 'isActive'];
+
+// Check the policy's fields make sense together
+function validateAccessPolicy(policy) {
+  const hasStart = policy.startHour !== undefined && policy.startHour !== null;
+  const hasEnd = policy.endHour !== undefined && policy.endHour !== null;
+
+  if (hasStart !== hasEnd) {
+    return 'Time windows need both a startHour and an endHour';
+  }
+  if (hasStart && policy.startHour === policy.endHour) {
+    return 'startHour and endHour must differ';
+  }
+  if (policy.daysOfWeek && policy.daysOfWeek.length > 0 && !hasStart) {
+    return 'daysOfWeek needs a startHour and endHour';
+  }
+  if (policy.effect === 'deny' && policy.maxConcurrentBookings) {
+    return 'Only allow policies can limit concurrent bookings';
+  }
+  return null;
+}
+
+function formatAccessPolicy(policy) {
+  return {
+    id: policy._id,
+    name: policy.name,
+    effect: policy.effect,
+    zoneId: policy.zoneId,
+    zoneType: policy.zoneType,
+    roles: policy.roles,
+    userIds: policy.userIds,
+    departments: policy.departments,
+    startHour: policy.startHour,
+    endHour: policy.endHour,
+    daysOfWeek: policy.daysOfWeek,
+    timeWindow: describeTimeWindow(policy) || null,
+    maxConcurrentBookings: policy.maxConcurrentBookings,
+    priority: policy.priority,
+    isActive: policy.isActive,
+    createdAt: policy.createdAt,
+  };
+}
+
+app.get('/api/admin/access-policies', authenticateToken, requirePermission('access:manage'), async (req, res) => {
+  try {
+    const query = {};
+
+    // A zone's policies include the ones covering its type and all zones
+    if (req.query.zoneId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.zoneId)) {
+        return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+      }
+      const zone = await Zone.findById(req.query.zoneId);
+      if (!zone) {
+        return res.status(404).json({ success: false, message: 'Zone not found' });
+      }
+      query.$or = [{ zoneId: zone._id }, { zoneId: null, zoneType: { $in: [zone.type, null] } }];
+    }
+
+    const policies = await AccessPolicy.find(query).sort({ priority: -1, createdAt: 1 });
+
+    res.json({ success: true, policies: policies.map(formatAccessPolicy) });
+  } catch (error) {
+    console.error('Get access policies error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching access policies' });
+  }
+});
+
+app.post('/api/admin/access-policies', authenticateToken, requirePermission('access:manage'), accessPolicyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const fields = {};
+    ACCESS_POLICY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const invalid = validateAccessPolicy(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    if (fields.zoneId && !(await Zone.exists({ _id: fields.zoneId }))) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    const policy = await AccessPolicy.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json({ success: true, policy: formatAccessPolicy(policy) });
+  } catch (error) {
+    console.error('Create access policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating access policy' });
+  }
+});
+
+// Dry run: which policy would decide a booking for this user
+app.post('/api/admin/access-policies/check', authenticateToken, requirePermission('access:manage'), accessCheckValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const [user, zone] = await Promise.all([
+      User.findById(req.body.userId).select('role department'),
+      Zone.findById(req.body.zoneId),
+    ]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
     if (!zone) {
       return res.status(404).json({ success: false, message: 'Zone not found' });
     }
 
-    const bookingDate = new Date(date);
-    if (isNaN(bookingDate.getTime())) {
-      return res.status(400).json({ success: false, message: 'Invalid date format' });
+    const window = {};
+    if (req.body.startTime) {
+      window.startTime = new Date(req.body.startTime);
+      window.endTime = new Date(window.startTime.getTime() + parseInt(req.body.duration || 1) * HOUR_MS);
     }
 
-    const startOfDay = new Date(bookingDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(bookingDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    try {
+      await checkZoneAccess({ id: user._id, role: user.role, department: user.department || null }, zone, window);
+    } catch (accessError) {
+      if (!accessError.statusCode) throw accessError;
+      return res.json({ success: true, allowed: false, message: accessError.message, ...accessError.details });
+    }
 
-    const activeBookings = await Booking.countDocuments({
-      zoneId,
-      status: 'active',
-      date: { $gte: startOfDay, $lte: endOfDay },
+    res.json({ success: true, allowed: true });
+  } catch (error) {
+    console.error('Check access policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error checking access' });
+  }
+});
+
+app.patch('/api/admin/access-policies/:policyId', authenticateToken, requirePermission('access:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.policyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid policy ID' });
+    }
+
+    const policy = await AccessPolicy.findById(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Access policy not found' });
+    }
+
+    ACCESS_POLICY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    const invalid = validateAccessPolicy(policy);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    await policy.save();
+
+    res.json({ success: true, policy: formatAccessPolicy(policy) });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update access policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating access policy' });
+  }
+});
+
+app.delete('/api/admin/access-policies/:policyId', authenticateToken, requirePermission('access:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.policyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid policy ID' });
+    }
+
+    const policy = await AccessPolicy.findByIdAndDelete(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Access policy not found' });
+    }
+
+    res.json({ success: true, message: 'Access policy deleted' });
+  } catch (error) {
+    console.error('Delete access policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting access policy' });
+  }
+});
+
+// ===== QUOTA ROUTES =====
+
+const QUOTA_ROLES = ['student', 'staff', 'admin', 'visitor', 'attendant'];
+
+app.get('/api/admin/quotas', authenticateToken, requirePermission('quotas:manage'), async (req, res) => {
+  try {
+    const quotas = [];
+    for (const role of QUOTA_ROLES) {
+      quotas.push(await getBookingQuota(role));
+    }
+
+    res.json({ success: true, quotas });
+  } catch (error) {
+    console.error('Get quotas error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching quotas' });
+  }
+});
+
+// Change some of a role's limits; null removes a limit
+app.patch('/api/admin/quotas/:role', authenticateToken, requirePermission('quotas:manage'), quotaValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!QUOTA_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: 'Invalid role' });
+    }
+
+    // The first change starts from no limits
+    const quota = await BookingQuota.findOne({ role }) || new BookingQuota({ role });
+
+    QUOTA_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) quota[field] = req.body[field];
     });
+    quota.updatedBy = req.user.id;
+    quota.updatedAt = new Date();
+
+    await quota.save();
+
+    res.json({ success: true, quota: await getBookingQuota(role) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update quota error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating quota' });
+  }
+});
+
+// ===== VIOLATION ROUTES =====
+
+app.get('/api/violations', authenticateToken, async (req, res) => {
+  try {
+    const query = { userId: req.user.id };
+
+    if (req.query.status && ['open', 'appealed', 'upheld', 'dismissed'].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
 
-    const available = Math.max(0, zone.totalSlots - activeBookings);
+    const violations = await Violation.find(query).sort({ createdAt: -1 }).limit(100);
+    const user = await User.findById(req.user.id).select('balance bookingBan');
 
     res.json({
       success: true,
-      zone: {
-        id: zone._id,
-        name: zone.name,
-        total: zone.totalSlots,
-        available,
-        booked: activeBookings,
-      },
+      violations,
+      outstandingFines: user ? user.balance : 0,
+      bookingBan: user && user.bookingBan && user.bookingBan.until > new Date() ? user.bookingBan : null,
     });
   } catch (error) {
-    console.error('Get availability error:', error);
-    res.status(500).json({ success: false, message: 'Server error checking availability' });
+    console.error('Get violations error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching violations' });
   }
 });
 
-app.post('/api/zones', authenticateToken, async (req, res) => {
+app.post('/api/violations/:violationId/appeal', authenticateToken, appealValidation, handleValidationErrors, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.violationId)) {
+      return res.status(400).json({ success: false, message: 'Invalid violation ID' });
     }
 
-    // Prepare zone data with required fields
-    const zoneData = {
-      ...req.body,
-      totalSlots: req.body.total || req.body.totalSlots,
-      availableSlots: req.body.total || req.body.totalSlots,
-    };
+    const violation = await Violation.findById(req.params.violationId);
 
-    // Auto-generate code if not provided
-    if (!zoneData.code) {
-      const prefix = (zoneData.type || 'general').substring(0, 3).toUpperCase();
-      const timestamp = Date.now().toString().slice(-4);
-      zoneData.code = `${prefix}-${timestamp}`;
+    if (!violation) {
+      return res.status(404).json({ success: false, message: 'Violation not found' });
     }
 
-    const zone = new Zone(zoneData);
-    await zone.save();
+    if (!violation.userId || violation.userId.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
 
-    broadcast({
-      type: 'zone_created',
-      zone: {
-        id: zone._id,
-        name: zone.name,
-        total: zone.totalSlots,
-        available: zone.totalSlots,
-        type: zone.type,
-        location: zone.location,
+    if (violation.status !== 'open') {
+      return res.status(400).json({ success: false, message: `Violation is already ${violation.status}` });
+    }
+
+    violation.status = 'appealed';
+    violation.appeal = { reason: req.body.reason, submittedAt: new Date() };
+    await violation.save();
+
+    res.json({ success: true, message: 'Appeal submitted', violation });
+  } catch (error) {
+    console.error('Appeal violation error:', error);
+    res.status(500).json({ success: false, message: 'Server error submitting appeal' });
+  }
+});
+
+app.get('/api/admin/violations', authenticateToken, requirePermission('violations:manage'), async (req, res) => {
+  try {
+    const { type, status, zoneId, userId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    let query = {};
+
+    if (type && ['overstay', 'unauthorized', 'no-checkout', 'other'].includes(type)) {
+      query.type = type;
+    }
+
+    if (status && ['open', 'appealed', 'upheld', 'dismissed'].includes(status)) {
+      query.status = status;
+    }
+
+    if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
+      query.zoneId = zoneId;
+    }
+
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      query.userId = userId;
+    }
+
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      
+      if (!isNaN(start.getTime()) && !isNaN(end.getTime())) {
+        end.setHours(23, 59, 59, 999);
+        query.createdAt = { $gte: start, $lte: end };
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [violations, total] = await Promise.all([
+      Violation.find(query)
+        .populate('userId', 'name email vehicleNumber')
+        .populate('bookingId', 'zoneName startTime endTime status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Violation.countDocuments(query)
+    ]);
+
+    res.json({ 
+      success: true, 
+      violations,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get all violations error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching violations' });
+  }
+});
+
+app.patch('/api/admin/violations/:violationId/appeal', authenticateToken, requirePermission('violations:manage'), appealDecisionValidation, handleValidationErrors, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.violationId)) {
+      return res.status(400).json({ success: false, message: 'Invalid violation ID' });
+    }
+
+    const violation = await Violation.findById(req.params.violationId);
+
+    if (!violation) {
+      return res.status(404).json({ success: false, message: 'Violation not found' });
+    }
+
+    if (violation.status !== 'appealed') {
+      return res.status(400).json({ success: false, message: 'Violation has no pending appeal' });
+    }
+
+    const { decision, note } = req.body;
+
+    violation.status = decision === 'accepted' ? 'dismissed' : 'upheld';
+    violation.appeal.decision = decision;
+    violation.appeal.decisionNote = note;
+    violation.appeal.decidedBy = req.user.id;
+    violation.appeal.decidedAt = new Date();
+    await violation.save();
+
+    if (violation.userId) {
+      // A dismissed violation's fine comes off the user's balance
+      if (decision === 'accepted' && violation.fine > 0) {
+        await User.findByIdAndUpdate(violation.userId, { $inc: { balance: -violation.fine } });
+      }
+
+      await notifyUser(violation.userId, {
+        title: decision === 'accepted' ? 'Appeal Accepted' : 'Appeal Rejected',
+        message: decision === 'accepted'
+          ? `Your appeal for the ${violation.type} violation at ${violation.zoneName} was accepted` +
+            (violation.fine > 0 ? ` and the $${violation.fine.toFixed(2)} fine has been removed` : '')
+          : `Your appeal for the ${violation.type} violation at ${violation.zoneName} was rejected` +
+            (note ? `: ${note}` : ''),
+        type: decision === 'accepted' ? 'success' : 'violation',
+        booking: violation.bookingId,
+        data: { screen: 'violations', violationId: violation._id.toString() },
+      });
+
+      await updateBookingBan(violation.userId);
+    }
+
+    res.json({ success: true, violation });
+  } catch (error) {
+    console.error('Decide appeal error:', error);
+    res.status(500).json({ success: false, message: 'Server error deciding appeal' });
+  }
+});
+
+app.delete('/api/admin/users/:userId/booking-ban', authenticateToken, requirePermission('violations:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $unset: { bookingBan: 1 } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await notifyUser(user._id, {
+      title: 'Bookings Restored',
+      message: 'Your booking suspension has been lifted by an administrator',
+      type: 'success',
+    });
+
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Lift booking ban error:', error);
+    res.status(500).json({ success: false, message: 'Server error lifting booking ban' });
+  }
+});
+
+// ===== GATE SCAN ROUTES =====
+
+// What an attendant sees after a scan: the booking, vehicle and driver
+async function formatScanResult(booking) {
+  const owner = await User.findById(booking.userId).select('name photoUrl role');
+
+  return {
+    booking: {
+      id: booking._id,
+      zoneName: booking.zoneName,
+      spaceNumber: booking.spaceNumber,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      status: booking.status,
+      checkInTime: booking.checkInTime,
+      checkOutTime: booking.checkOutTime,
+    },
+    vehicleNumber: booking.vehicleNumber,
+    user: owner ? { name: owner.name, photoUrl: owner.photoUrl, role: owner.role } : null,
+  };
+}
+
+// Check a code in or out at an attendant's gate and log the scan either way
+function scanHandler(action) {
+  return async (req, res) => {
+    const { qrCode, zoneId } = req.body;
+    const log = { attendantId: req.user.id, zoneId, action };
+
+    try {
+      let booking;
+      let overstay = null;
+
+      if (action === 'check-in') {
+        booking = await checkInBooking(qrCode, { zoneId });
+      } else {
+        ({ booking, overstay } = await checkOutBooking(qrCode, { zoneId }));
+      }
+
+      await ScanLog.create({ ...log, bookingId: booking._id, result: 'accepted' });
+
+      res.json({
+        success: true,
+        message: action === 'check-in' ? 'Check-in successful' : 'Check-out successful',
+        ...(await formatScanResult(booking)),
+        overstay,
+      });
+    } catch (error) {
+      const details = error.details || {};
+
+      try {
+        await ScanLog.create({
+          ...log,
+          bookingId: details.bookingId,
+          result: 'rejected',
+          reason: details.reason || 'error',
+          message: error.message,
+        });
+      } catch (logError) {
+        console.error('Scan log error:', logError);
+      }
+
+      if (error.statusCode) {
+        let scanned = null;
+        if (details.bookingId) {
+          const booking = await Booking.findById(details.bookingId);
+          scanned = booking ? await formatScanResult(booking) : null;
+        }
+        return res.status(error.statusCode).json({ success: false, message: error.message, ...details, ...scanned });
+      }
+
+      console.error(`Scan ${action} error:`, error);
+      res.status(500).json({ success: false, message: `Server error during ${action}` });
+    }
+  };
+}
+
+app.post('/api/scan/checkin', authenticateToken, requirePermission('scan:use'), scanValidation, handleValidationErrors, scanHandler('check-in'));
+
+app.post('/api/scan/checkout', authenticateToken, requirePermission('scan:use'), scanValidation, handleValidationErrors, scanHandler('check-out'));
+
+app.get('/api/scan/logs', authenticateToken, requirePermission('scan:use'), async (req, res) => {
+  try {
+    const { zoneId, attendantId, result, page = 1, limit = 50 } = req.query;
+    let query = {};
+
+    // Attendants only see their own scans
+    if (!can(req.user, 'scan:audit')) {
+      query.attendantId = req.user.id;
+    } else if (attendantId && mongoose.Types.ObjectId.isValid(attendantId)) {
+      query.attendantId = attendantId;
+    }
+
+    if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
+      query.zoneId = zoneId;
+    }
+
+    if (result && ['accepted', 'rejected'].includes(result)) {
+      query.result = result;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      ScanLog.find(query)
+        .populate('attendantId', 'name email')
+        .populate('zoneId', 'name')
+        .populate('bookingId', 'zoneName vehicleNumber startTime endTime status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ScanLog.countDocuments(query)
+    ]);
+
+    res.json({ 
+      success: true, 
+      logs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
       }
     });
-
-    res.json({ success: true, zone });
   } catch (error) {
-    console.error('Create zone error:', error);
-    res.status(500).json({ success: false, message: 'Server error creating zone' });
+    console.error('Get scan logs error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching scan logs' });
   }
 });
 
-app.patch('/api/zones/:zoneId', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
+// ===== PLATE RECOGNITION (ANPR) ROUTES =====
+
+// Repeat reads of the same plate in a zone within this window are ignored,
+// so a car idling in front of a camera is not checked in and straight out.
+// Reads with a direction only repeat reads in the same direction (or, for
+// reads without one, with the result that direction gives); reads without a
+// direction repeat any read.
+const PLATE_READ_DEBOUNCE_MS = 2 * 60 * 1000;
+const PLATE_READ_DIRECTION_RESULTS = { entry: ['checked-in', 'unmatched'], exit: ['checked-out'] };
+
+// Raise an unauthorized violation for a vehicle that entered a zone without
+// a matching booking, at most once per vehicle per zone per day. The owner is
+// looked up from registered vehicles where possible.
+async function flagUnauthorizedVehicle(read, zone) {
+  const existing = await Violation.findOne({
+    type: 'unauthorized',
+    zoneId: zone._id,
+    vehicleNumber: read.normalizedPlate,
+    bookingId: null,
+    createdAt: { $gte: new Date(read.timestamp.getTime() - DAY_MS) },
+  });
 
-    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
-      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
-    }
+  if (existing) return existing._id;
 
-    const currentZone = await Zone.findById(req.params.zoneId);
-    if (!currentZone) {
+  let vehicles = await Vehicle.find({ normalizedPlate: read.normalizedPlate }).select('userId plate');
+  if (vehicles.length === 0) {
+    vehicles = await Vehicle.find({ normalizedPlate: plateCandidatePattern(read.plate) }).select('userId plate');
+  }
+  const { match: vehicle, matches, ambiguous } = matchPlate(read.plate, vehicles, candidate => candidate.plate);
+  // A plate registered by more than one user has no single owner
+  const owned = vehicle && !ambiguous && matches.every(candidate => candidate.userId.equals(vehicle.userId));
+
+  const violation = new Violation({
+    userId: owned ? vehicle.userId : undefined,
+    zoneId: zone._id,
+    zoneName: zone.name,
+    vehicleNumber: read.normalizedPlate,
+    type: 'unauthorized',
+    description: `Vehicle ${read.plate} entered ${zone.name} without a booking (camera ${read.cameraId})`,
+    createdAt: read.timestamp,
+  });
+
+  await applyViolations([violation]);
+
+  broadcast({
+    type: 'unauthorized_vehicle',
+    zoneId: zone._id.toString(),
+    plate: read.normalizedPlate,
+    cameraId: read.cameraId,
+    violationId: violation._id.toString(),
+    timestamp: read.timestamp,
+  });
+
+  return violation._id;
+}
+
+app.post('/api/anpr/events', authenticateCamera, plateReadValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { plate, cameraId, zoneId, direction, confidence } = req.body;
+    const timestamp = req.body.timestamp ? new Date(req.body.timestamp) : new Date();
+
+    const zone = await Zone.findById(zoneId);
+    if (!zone) {
       return res.status(404).json({ success: false, message: 'Zone not found' });
     }
 
-    // Map 'total' to 'totalSlots' if provided
-    const updateData = { ...req.body };
-    if (updateData.total !== undefined) {
-      updateData.totalSlots = updateData.total;
-      delete updateData.total;
+    const read = new PlateRead({
+      plate,
+      normalizedPlate: normalizePlate(plate),
+      cameraId,
+      zoneId,
+      direction,
+      confidence,
+      timestamp,
+    });
+
+    if (!read.normalizedPlate) {
+      return res.status(400).json({ success: false, message: 'Plate has no letters or digits' });
     }
 
-    // If totalSlots is being updated, recalculate availableSlots based on current bookings
-    if (updateData.totalSlots !== undefined && updateData.totalSlots !== currentZone.totalSlots) {
-      const startOfDay = new Date();
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date();
-      endOfDay.setHours(23, 59, 59, 999);
+    const recentRead = await PlateRead.findOne({
+      zoneId,
+      normalizedPlate: read.normalizedPlate,
+      result: { $in: ['checked-in', 'checked-out', 'unmatched'] },
+      timestamp: {
+        $gte: new Date(timestamp.getTime() - PLATE_READ_DEBOUNCE_MS),
+        $lte: new Date(timestamp.getTime() + PLATE_READ_DEBOUNCE_MS),
+      },
+      ...(direction && {
+        $or: [
+          { direction },
+          { direction: null, result: { $in: PLATE_READ_DIRECTION_RESULTS[direction] } },
+        ],
+      }),
+    });
 
-      const activeBookings = await Booking.countDocuments({
-        zoneId: req.params.zoneId,
-        status: 'active',
-        date: { $gte: startOfDay, $lte: endOfDay },
-      });
+    if (recentRead) {
+      return res.json({ success: true, result: 'duplicate', read: recentRead });
+    }
 
-      updateData.availableSlots = Math.max(0, updateData.totalSlots - activeBookings);
+    // Vehicles parked in the zone, and bookings whose QR code already admits
+    // them, so an early arrival isn't matched only to be refused check-in
+    const parked = { checkInTime: { $ne: null }, checkOutTime: null };
+    const arriving = {
+      checkInTime: null,
+      startTime: { $lte: new Date(timestamp.getTime() + QR_EARLY_MINUTES * 60 * 1000) },
+      endTime: { $gt: timestamp },
+    };
+    let candidateFilter = { $or: [parked, arriving] };
+    if (direction === 'entry') candidateFilter = arriving;
+    if (direction === 'exit') candidateFilter = parked;
+
+    // One vehicle can hold several of these bookings (back-to-back windows, or
+    // a parked booking with the next one arriving). A car already inside can
+    // only be leaving, so its parked booking comes first, then the earliest.
+    const candidates = await Booking.find({ zoneId, status: 'active', ...candidateFilter });
+    let { match, distance, ambiguous } = matchPlate(plate, candidates, booking => booking.vehicleNumber,
+      (a, b) => Boolean(b.checkInTime) - Boolean(a.checkInTime) || a.startTime - b.startTime);
+
+    // Permit holders arriving without a booking
+    if (!match && direction !== 'exit') {
+      const permits = await Permit.find({
+        zoneId,
+        status: 'approved',
+        validFrom: { $lte: timestamp },
+        validUntil: { $gte: timestamp },
+      });
+      ({ match, distance, ambiguous } = matchPlate(plate, permits, permit => permit.plate));
     }
 
-    const zone = await Zone.findByIdAndUpdate(
-      req.params.zoneId,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    if (match && !ambiguous) {
+      read.matchDistance = distance;
+      if (match instanceof Booking) read.bookingId = match._id;
 
-    const zoneData = await getZoneAvailability(zone._id);
-    broadcast({
-      type: 'zone_update',
-      zoneId: zone._id,
-      available: zoneData.available
-    });
+      try {
+        if (match.checkInTime) {
+          await checkOutBooking(match.qrCode, { zoneId, at: timestamp });
+          read.result = 'checked-out';
+        } else {
+          const booking = await checkInBooking(match.qrCode, { zoneId, at: timestamp });
+          read.bookingId = booking._id;
+          read.result = 'checked-in';
+        }
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        read.result = 'rejected';
+        read.message = error.message;
+      }
+    } else if (ambiguous) {
+      read.result = 'ambiguous';
+      read.message = 'Plate is a close match for more than one booking or permit';
+    } else {
+      read.result = 'unmatched';
+      // A car leaving without a booking was already flagged on the way in
+      if (direction !== 'exit') {
+        read.violationId = await flagUnauthorizedVehicle(read, zone);
+      }
+    }
 
-    res.json({ success: true, zone });
+    await read.save();
+
+    res.status(201).json({ success: true, result: read.result, read });
   } catch (error) {
-    console.error('Update zone error:', error);
-    res.status(500).json({ success: false, message: 'Server error updating zone' });
+    console.error('Plate read error:', error);
+    res.status(500).json({ success: false, message: 'Server error processing plate read' });
   }
 });
 
-app.delete('/api/zones/:zoneId', authenticateToken, async (req, res) => {
+app.get('/api/admin/anpr/events', authenticateToken, requirePermission('anpr:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+    const { zoneId, cameraId, result, plate, page = 1, limit = 50 } = req.query;
+    let query = {};
+
+    if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
+      query.zoneId = zoneId;
     }
 
-    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
-      return res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    if (cameraId) {
+      query.cameraId = String(cameraId);
     }
 
-    const activeBookings = await Booking.countDocuments({
-      zoneId: req.params.zoneId,
-      status: 'active',
-    });
+    if (result && ['checked-in', 'checked-out', 'unmatched', 'ambiguous', 'rejected'].includes(result)) {
+      query.result = result;
+    }
 
-    if (activeBookings > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot delete zone with active bookings',
-      });
+    if (plate) {
+      query.normalizedPlate = normalizePlate(plate);
     }
 
-    await Zone.findByIdAndDelete(req.params.zoneId);
-    
-    broadcast({
-      type: 'zone_deleted',
-      zoneId: req.params.zoneId
-    });
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    res.json({ success: true, message: 'Zone deleted successfully' });
+    const [reads, total] = await Promise.all([
+      PlateRead.find(query)
+        .populate('zoneId', 'name')
+        .populate('bookingId', 'zoneName vehicleNumber startTime endTime status')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PlateRead.countDocuments(query)
+    ]);
+
+    res.json({ 
+      success: true, 
+      reads,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
   } catch (error) {
-    console.error('Delete zone error:', error);
-    res.status(500).json({ success: false, message: 'Server error deleting zone' });
+    console.error('Get plate reads error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching plate reads' });
   }
 });
 
-// ===== BOOKING ROUTES (WITH TRANSACTION) =====
+// ===== NOTIFICATION ROUTES =====
 
-app.get('/api/bookings/user/:userId', authenticateToken, async (req, res) => {
+app.get('/api/notifications/:userId', authenticateToken, async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    const bookings = await Booking.find({ userId: req.params.userId })
+    if (req.user.id !== req.params.userId && !can(req.user, 'users:read')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    const notifications = await Notification.find({ userId: req.params.userId })
       .sort({ createdAt: -1 })
-      .populate('zoneId', 'name')
-      .limit(100);
+      .limit(50);
 
-    const formattedBookings = bookings.map((booking) => ({
-      id: booking._id,
-      zone: booking.zoneName,
-      date: booking.date.toISOString().split('T')[0],
-      time: booking.createdAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
-      status: booking.status,
-      qrCode: booking.qrCode,
-      duration: booking.duration,
+    const formattedNotifications = notifications.map((notif) => ({
+      id: notif._id,
+      title: notif.title,
+      message: notif.message,
+      type: notif.type,
+      time: getTimeAgo(notif.createdAt),
+      read: notif.read,
+      createdAt: notif.createdAt
     }));
 
-    res.json(formattedBookings);
+    res.json(formattedNotifications);
   } catch (error) {
-    console.error('Get bookings error:', error);
-    res.status(500).json({ success: false, message: 'Server error fetching bookings' });
+    console.error('Get notifications error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching notifications' });
   }
 });
 
-app.post('/api/bookings', authenticateToken, bookingValidation, handleValidationErrors, async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  
+app.patch('/api/notifications/:notificationId/read', authenticateToken, async (req, res) => {
   try {
-    const { userId, zoneId, zoneName, date, duration, vehicleNumber } = req.body;
-
-    // Verify user owns this booking
-    if (req.user.id !== userId) {
-      await session.abortTransaction();
-      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.notificationId)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
     }
 
-    const zone = await Zone.findById(zoneId).session(session);
-    if (!zone) {
-      await session.abortTransaction();
-      return res.status(404).json({ success: false, message: 'Zone not found' });
-    }
+    const notification = await Notification.findById(req.params.notificationId);
 
-    // Role-based zone access control
-    const userRole = req.user.role;
-    const zoneType = zone.type;
-    
-    const accessRules = {
-      student: ['student', 'general'],
-      staff: ['staff', 'student', 'general'],
-      visitor: ['visitor', 'general'],
-      admin: ['student', 'staff', 'visitor', 'general', 'event']
-    };
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
 
-    const allowedZones = accessRules[userRole] || ['general'];
-    
-    if (!allowedZones.includes(zoneType)) {
-      await session.abortTransaction();
-      return res.status(403).json({ 
-        success: false, 
-        message: `${userRole.charAt(0).toUpperCase() + userRole.slice(1)}s are not allowed to book ${zoneType} parking zones` 
-      });
+    if (notification.userId.toString() !== req.user.id && !can(req.user, 'users:manage')) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
 
-    const bookingDate = new Date(date);
-    const startOfDay = new Date(bookingDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(bookingDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    notification.read = true;
+    await notification.save();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating notification' });
+  }
+});
 
-    // Check for existing booking by this user for same zone and date
-    const existingBooking = await Booking.findOne({
-      userId,
-      zoneId,
-      status: 'active',
-      date: { $gte: startOfDay, $lte: endOfDay },
-    }).session(session);
+app.post('/api/notifications/send', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { userId, title, message, type } = req.body;
 
-    if (existingBooking) {
-      await session.abortTransaction();
+    if (!userId || !title || !message) {
       return res.status(400).json({ 
         success: false, 
-        message: 'You already have an active booking for this zone on this date' 
+        message: 'userId, title, and message are required' 
       });
     }
 
-    const activeBookings = await Booking.countDocuments({
-      zoneId,
-      status: 'active',
-      date: { $gte: startOfDay, $lte: endOfDay },
-    }).session(session);
-
-    if (activeBookings >= zone.totalSlots) {
-      await session.abortTransaction();
-      return res.status(400).json({ success: false, message: 'No slots available for this date' });
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    const qrCode = generateQRCode();
-
-    // Calculate start and end times
-    const startTime = new Date(bookingDate);
-    startTime.setHours(8, 0, 0, 0); // Default start time 8:00 AM
-    
-    const endTime = new Date(startTime);
-    endTime.setHours(startTime.getHours() + duration);
-
-    const booking = new Booking({
-      userId,
-      zoneId,
-      zoneName,
-      date: bookingDate,
-      startTime: startTime,
-      endTime: endTime,
-      duration,
-      vehicleNumber,
-      qrCode,
-      status: 'active',
-    });
-
-    await booking.save({ session });
-
-    await Notification.create([{
+    const notification = new Notification({
       userId,
-      title: 'Booking Confirmed',
-      message: `Your parking slot at ${zoneName} has been confirmed for ${date}`,
-      type: 'success',
-    }], { session });
-
-    await session.commitTransaction();
-
-    const newAvailable = Math.max(0, zone.totalSlots - (activeBookings + 1));
-
-    broadcast({
-      type: 'zone_update',
-      zoneId: zoneId,
-      available: newAvailable
-    });
-
-    broadcast({
-      type: 'booking_created',
-      userId: userId,
-      zoneName: zoneName,
-      timestamp: new Date()
+      title,
+      message,
+      type: type || 'info',
     });
-
-    // Send push notification
-    try {
-      const user = await User.findById(userId);
-      if (user && user.pushToken) {
-        await sendPushNotification(
-          user.pushToken,
-          'Booking Confirmed! 🎉',
-          `Your parking slot at ${zoneName} has been confirmed for ${date}`,
-          { screen: 'bookings' }
-        );
-      }
-    } catch (pushError) {
-      console.error('Error sending push notification:', pushError);
-      // Don't fail the booking if push notification fails
-    }
-
-    res.json({
-      success: true,
-      booking: {
-        id: booking._id,
-        zone: zoneName,
-        date: date,
-        qrCode: qrCode,
-        status: 'active',
-      },
+
+    await notification.save();
+
+    broadcast({
+      type: 'notification',
+      userId: userId,
+      title: title,
+      message: message,
+      notificationType: type || 'info'
     });
+
+    res.json({ success: true, notification });
   } catch (error) {
-    await session.abortTransaction();
-    console.error('Create booking error:', error);
-    res.status(500).json({ success: false, message: 'Server error creating booking' });
-  } finally {
-    session.endSession();
+    console.error('Send notification error:', error);
+    res.status(500).json({ success: false, message: 'Server error sending notification' });
   }
 });
 
-app.delete('/api/bookings/:bookingId', authenticateToken, async (req, res) => {
+app.post('/api/notifications/broadcast', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
   try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
-      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
-    }
-
-    const booking = await Booking.findById(req.params.bookingId);
+    const { title, message, type, role } = req.body;
 
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (!title || !message) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'title and message are required' 
+      });
     }
 
-    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    let query = {};
+    if (role && ['student', 'staff', 'admin', 'visitor', 'attendant'].includes(role)) {
+      query.role = role;
     }
+    
+    const users = await User.find(query).select('_id');
 
-    if (booking.status === 'cancelled') {
-      return res.status(400).json({ success: false, message: 'Booking already cancelled' });
+    if (users.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No users found matching criteria' 
+      });
     }
 
-    const zoneId = booking.zoneId;
-    const zoneName = booking.zoneName;
-
-    booking.status = 'cancelled';
-    await booking.save();
-
-    await Notification.create({
-      userId: booking.userId,
-      title: 'Booking Cancelled',
-      message: `Your parking slot at ${booking.zoneName} has been cancelled`,
-      type: 'warning',
-    });
+    const notifications = users.map(user => ({
+      userId: user._id,
+      title,
+      message,
+      type: type || 'info',
+    }));
 
-    const zoneData = await getZoneAvailability(zoneId);
+    await Notification.insertMany(notifications);
 
     broadcast({
-      type: 'zone_update',
-      zoneId: zoneId,
-      available: zoneData.available
+      type: 'notification',
+      title: title,
+      message: message,
+      notificationType: type || 'info',
+      broadcast: true
     });
 
-    broadcast({
-      type: 'booking_cancelled',
-      userId: booking.userId.toString(),
-      zoneName: zoneName,
-      timestamp: new Date()
+    res.json({
+      success: true,
+      message: `Notification sent to ${users.length} users`,
     });
+  } catch (error) {
+    console.error('Broadcast notification error:', error);
+    res.status(500).json({ success: false, message: 'Server error broadcasting notification' });
+  }
+});
+
+// ===== EVENT ROUTES =====
+
+app.get('/api/events', authenticateToken, requirePermission('events:read'), async (req, res) => {
+  try {
+    const events = await Event.find().sort({ date: 1 });
+
+    const formattedEvents = events.map((event) => ({
+      id: event._id,
+      name: event.name,
+      date: event.date ? event.date.toISOString().split('T')[0] : 'N/A',
+      allocatedSlots: event.allocatedSlots,
+      bookedSlots: event.bookedSlots,
+      zone: event.zone,
+      description: event.description,
+    }));
 
-    res.json({ success: true, message: 'Booking cancelled successfully' });
+    res.json(formattedEvents);
   } catch (error) {
-    console.error('Cancel booking error:', error);
-    res.status(500).json({ success: false, message: 'Server error cancelling booking' });
+    console.error('Get events error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching events' });
   }
 });
 
-app.patch('/api/bookings/:bookingId/extend', authenticateToken, async (req, res) => {
+app.post('/api/events', authenticateToken, requirePermission('events:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
   try {
-    const { additionalHours } = req.body;
+    const { name, date, zone } = req.body;
+    const allocations = parseEventAllocations(req.body);
 
-    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
-      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    if (!name || !date || (allocations.length === 0 && req.body.allocatedSlots === undefined)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'name, date, and allocatedSlots (or allocatedZones) are required' 
+      });
     }
 
-    if (!additionalHours || additionalHours < 1 || additionalHours > 12) {
+    const allocatedSlotsNum = allocations.length > 0
+      ? allocations.reduce((total, allocation) => total + allocation.allocatedSlots, 0)
+      : parseInt(req.body.allocatedSlots);
+    if (isNaN(allocatedSlotsNum) || allocatedSlotsNum <= 0) {
+      await rollbackTransaction(session);
       return res.status(400).json({ 
         success: false, 
-        message: 'Additional hours must be between 1 and 12' 
+        message: 'allocatedSlots must be a positive number' 
       });
     }
 
-    const booking = await Booking.findById(req.params.bookingId);
+    const times = parseEventWindow(req.body);
+    const window = getEventWindow(times);
 
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
+    // Every zone needs the slots free for the whole event window
+    const zoneDocs = await validateEventAllocations(allocations, window, session);
+
+    const event = new Event({
+      name,
+      date: times.date,
+      startTime: times.startTime,
+      endTime: times.endTime,
+      allocatedSlots: allocatedSlotsNum,
+      allocatedZones: allocations.map(allocation => ({
+        zone: allocation.zoneId,
+        allocatedSlots: allocation.allocatedSlots,
+      })),
+      zone: zone || zoneDocs.map(doc => doc.name).join(', ') || undefined,
+      zoneId: zoneDocs.length > 0 ? zoneDocs[0]._id : undefined,
+      description: req.body.description,
+      eventType: req.body.eventType,
+      specialInstructions: req.body.specialInstructions,
+      organizer: req.user.id,
+    });
+    
+    await event.save({ session });
+    await commitTransaction(session);
+
+    // Reserved slots are no longer available in the event's zones
+    for (const zoneDoc of zoneDocs) {
+      await broadcastZoneUpdate(zoneDoc._id, window);
     }
 
-    if (booking.userId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    res.json({ success: true, event });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Create event error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message || 'Server error creating event' 
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+app.patch('/api/events/:eventId', authenticateToken, requirePermission('events:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
     }
 
-    if (booking.status !== 'active') {
-      return res.status(400).json({ success: false, message: 'Can only extend active bookings' });
+    const event = await Event.findById(req.params.eventId).session(session);
+
+    if (!event) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    booking.duration += parseInt(additionalHours);
-    await booking.save();
+    const previousWindow = getEventWindow(event);
+    const previousZoneIds = getEventZoneAllocations(event).map(allocation => allocation.zoneId.toString());
 
-    await Notification.create({
-      userId: booking.userId,
-      title: 'Booking Extended',
-      message: `Your booking at ${booking.zoneName} has been extended by ${additionalHours} hours`,
-      type: 'success',
-    });
+    const cancelling = event.isActive && [false, 'false'].includes(req.body.isActive);
+    const reactivating = !event.isActive && [true, 'true'].includes(req.body.isActive);
 
-    broadcast({
-      type: 'notification',
-      userId: booking.userId.toString(),
-      title: 'Booking Extended',
-      message: `Booking extended by ${additionalHours} hours`,
-      notificationType: 'success'
+    ['name', 'description', 'eventType', 'specialInstructions', 'zone', 'organizer'].forEach((field) => {
+      if (req.body[field] !== undefined) event[field] = req.body[field];
     });
 
-    res.json({ success: true, booking });
+    const changesWindow = ['date', 'startTime', 'endTime'].some(field => req.body[field] !== undefined);
+    const changesAllocations = ['allocatedZones', 'zoneId', 'allocatedSlots'].some(field => req.body[field] !== undefined);
+    let affected = { moved: [], cancelled: [] };
+
+    if (cancelling) {
+      // Cancelling releases the event's reservations along with its bookings
+      event.isActive = false;
+      affected.cancelled = await cancelEventBookings(event, session);
+    } else if (changesWindow || changesAllocations || reactivating) {
+      event.isActive = true;
+      const times = parseEventWindow(req.body, event);
+      event.date = times.date;
+      event.startTime = times.startTime;
+      event.endTime = times.endTime;
+
+      // A new allocatedSlots on its own resizes a single-zone event
+      let allocations = getEventZoneAllocations(event);
+      if (changesAllocations && !req.body.allocatedZones && !req.body.zoneId && allocations.length > 1) {
+        await rollbackTransaction(session);
+        return res.status(400).json({ success: false, message: 'Use allocatedZones to change the slots of a multi-zone event' });
+      }
+      if (changesAllocations) {
+        allocations = parseEventAllocations({
+          ...req.body,
+          zoneId: req.body.zoneId || (allocations.length === 1 ? allocations[0].zoneId : undefined),
+        });
+      }
+
+      const window = getEventWindow(event);
+      await validateEventAllocations(allocations, window, session, { excludeEventId: event._id });
+
+      if (allocations.length > 0) {
+        event.allocatedZones = allocations.map(allocation => ({
+          zone: allocation.zoneId,
+          allocatedSlots: allocation.allocatedSlots,
+        }));
+        event.zoneId = allocations[0].zoneId;
+        event.allocatedSlots = allocations.reduce((total, allocation) => total + allocation.allocatedSlots, 0);
+      } else if (req.body.allocatedSlots !== undefined) {
+        event.allocatedSlots = parseInt(req.body.allocatedSlots);
+      }
+
+      if (changesWindow || changesAllocations) {
+        await event.save({ session });
+        affected = await rearrangeEventBookings(event, previousWindow, session);
+      }
+    }
+
+    event.bookedSlots = await Booking.countDocuments(eventBookingQuery(event._id)).session(session);
+    await event.save({ session });
+    await commitTransaction(session);
+
+    await notifyEventAttendees(event, affected);
+    await broadcastEventUpdate(event._id);
+
+    // Refresh availability in every zone the event used or now uses
+    const zoneIds = new Set([
+      ...previousZoneIds,
+      ...getEventZoneAllocations(event).map(allocation => allocation.zoneId.toString()),
+    ]);
+    for (const zoneId of zoneIds) {
+      await broadcastZoneUpdate(zoneId, previousWindow);
+      await broadcastZoneUpdate(zoneId, getEventWindow(event));
+    }
+
+    res.json({
+      success: true,
+      event,
+      movedBookings: affected.moved.length,
+      cancelledBookings: affected.cancelled.length,
+    });
   } catch (error) {
-    console.error('Extend booking error:', error);
-    res.status(500).json({ success: false, message: 'Server error extending booking' });
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Update event error:', error);
+    res.status(500).json({ success: false, message: 'Server error updating event' });
+  } finally {
+    session.endSession();
   }
 });
 
-app.post('/api/bookings/checkin', authenticateToken, async (req, res) => {
+app.delete('/api/events/:eventId', authenticateToken, requirePermission('events:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    const { qrCode } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
 
-    if (!qrCode || typeof qrCode !== 'string') {
-      return res.status(400).json({ success: false, message: 'Valid QR code required' });
+    const event = await Event.findById(req.params.eventId).session(session);
+
+    if (!event) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    const booking = await Booking.findOne({ qrCode, status: 'active' });
+    // Attendees lose their event parking along with the event
+    event.isActive = false;
+    const cancelled = await cancelEventBookings(event, session);
+    await Event.deleteOne({ _id: event._id }).session(session);
+    await commitTransaction(session);
 
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Invalid QR code or booking not active' });
+    await notifyEventAttendees(event, { cancelled });
+
+    // Broadcast zone updates to restore availability
+    for (const allocation of getEventZoneAllocations(event)) {
+      await broadcastZoneUpdate(allocation.zoneId, getEventWindow(event));
     }
 
-    if (booking.checkInTime) {
-      return res.status(400).json({ success: false, message: 'Already checked in' });
+    res.json({ success: true, message: 'Event deleted successfully', cancelledBookings: cancelled.length });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
     }
+    console.error('Delete event error:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting event' });
+  } finally {
+    session.endSession();
+  }
+});
 
-    booking.checkInTime = new Date();
-    await booking.save();
+// Upcoming events attendees can register parking for, with the slots left in
+// each of their zones
+app.get('/api/events/upcoming', authenticateToken, async (req, res) => {
+  try {
+    const now = new Date();
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
 
-    await Notification.create({
-      userId: booking.userId,
-      title: 'Check-in Successful',
-      message: `You have checked in at ${booking.zoneName}`,
-      type: 'success',
-    });
+    const events = await Event.find({
+      isActive: true,
+      $or: [
+        { endTime: { $gte: now } },
+        { endTime: null, date: { $gte: today } },
+      ],
+    }).sort({ date: 1 });
+
+    const eventIds = events.map(event => event._id);
+    const counts = await Booking.aggregate([
+      { $match: { eventId: { $in: eventIds }, status: { $ne: 'cancelled' } } },
+      { $group: { _id: { eventId: '$eventId', zoneId: '$zoneId' }, count: { $sum: 1 } } },
+    ]);
+    const countFor = (eventId, zoneId) => {
+      const entry = counts.find(count =>
+        count._id.eventId.toString() === eventId.toString() && count._id.zoneId.toString() === zoneId.toString());
+      return entry ? entry.count : 0;
+    };
 
-    broadcast({
-      type: 'notification',
-      userId: booking.userId.toString(),
-      title: 'Check-in Successful',
-      message: `Checked in at ${booking.zoneName}`,
-      notificationType: 'success'
+    const zoneIds = events.flatMap(event => getEventZoneAllocations(event).map(allocation => allocation.zoneId));
+    const zones = await Zone.find({ _id: { $in: zoneIds } }).select('name location');
+    const zonesById = new Map(zones.map(zone => [zone._id.toString(), zone]));
+
+    const formattedEvents = events.map((event) => {
+      const window = getEventWindow(event);
+      return {
+        id: event._id,
+        name: event.name,
+        description: event.description,
+        eventType: event.eventType,
+        date: event.date,
+        startTime: window.start,
+        endTime: window.end,
+        specialInstructions: event.specialInstructions,
+        allocatedSlots: event.allocatedSlots,
+        bookedSlots: event.bookedSlots,
+        available: Math.max(0, event.allocatedSlots - event.bookedSlots),
+        zones: getEventZoneAllocations(event).map((allocation) => {
+          const zone = zonesById.get(allocation.zoneId.toString());
+          return {
+            zoneId: allocation.zoneId,
+            name: zone ? zone.name : undefined,
+            location: zone ? zone.location : undefined,
+            allocatedSlots: allocation.allocatedSlots,
+            available: Math.max(0, allocation.allocatedSlots - countFor(event._id, allocation.zoneId)),
+          };
+        }),
+      };
     });
 
-    res.json({ success: true, message: 'Check-in successful', booking });
+    res.json({ success: true, events: formattedEvents });
   } catch (error) {
-    console.error('Check-in error:', error);
-    res.status(500).json({ success: false, message: 'Server error during check-in' });
+    console.error('Get upcoming events error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching events' });
   }
 });
 
-app.post('/api/bookings/checkout', authenticateToken, async (req, res) => {
+// Book a parking slot from an event's allocation. The booking covers the
+// whole event unless a narrower window inside it is given.
+app.post('/api/events/:eventId/register', authenticateToken, eventRegistrationValidation, handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    const { qrCode } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+      await rollbackTransaction(session);
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
 
-    if (!qrCode || typeof qrCode !== 'string') {
-      return res.status(400).json({ success: false, message: 'Valid QR code required' });
+    const event = await Event.findById(req.params.eventId).session(session);
+    if (!event || !event.isActive) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    const booking = await Booking.findOne({ qrCode, status: 'active' });
+    const existing = await Booking.findOne({
+      eventId: event._id,
+      userId: req.user.id,
+      status: 'active',
+    }).session(session);
 
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Invalid QR code or booking not active' });
+    if (existing) {
+      await rollbackTransaction(session);
+      return res.status(400).json({
+        success: false,
+        message: `You are already registered for ${event.name}`,
+        bookingId: existing._id,
+      });
     }
 
-    if (!booking.checkInTime) {
-      return res.status(400).json({ success: false, message: 'Please check-in first' });
+    // Without a zone choice, take the first zone with slots left
+    let zoneId = req.body.zoneId;
+    if (!zoneId) {
+      for (const allocation of getEventZoneAllocations(event)) {
+        const taken = await Booking.countDocuments(eventBookingQuery(event._id, { zoneId: allocation.zoneId })).session(session);
+        if (taken < allocation.allocatedSlots) {
+          zoneId = allocation.zoneId;
+          break;
+        }
+      }
+
+      if (!zoneId) {
+        await rollbackTransaction(session);
+        return res.status(400).json({ success: false, message: `${event.name} parking is fully booked` });
+      }
     }
 
-    if (booking.checkOutTime) {
-      return res.status(400).json({ success: false, message: 'Already checked out' });
+    const zone = await Zone.findById(zoneId).session(session);
+    if (!zone) {
+      await rollbackTransaction(session);
+      return res.status(404).json({ success: false, message: 'Zone not found' });
     }
 
-    const zoneId = booking.zoneId;
-    const zoneName = booking.zoneName;
+    const window = getEventWindow(event);
+    const startTime = req.body.startTime ? new Date(req.body.startTime) : window.start;
+    const duration = req.body.duration
+      ? parseFloat(req.body.duration)
+      : (window.end.getTime() - startTime.getTime()) / HOUR_MS;
+
+    const booking = await createBooking({
+      user: req.user,
+      zone,
+      date: event.date,
+      startTime,
+      duration,
+      vehicleId: req.body.vehicleId,
+      vehicleNumber: req.body.vehicleNumber,
+      event,
+    }, session);
+
+    await Notification.create([{
+      userId: req.user.id,
+      title: 'Event Parking Confirmed',
+      message: `Your parking for ${event.name} at ${zone.name} (space ${booking.spaceNumber}) is confirmed`,
+      type: 'event',
+      booking: booking._id,
+    }], { session });
 
-    booking.checkOutTime = new Date();
-    booking.status = 'completed';
-    await booking.save();
+    await commitTransaction(session);
+
+    await broadcastZoneUpdate(zone._id, { start: booking.startTime, end: booking.endTime });
+    await broadcastEventUpdate(event._id);
+
+    res.status(201).json({ success: true, booking });
+  } catch (error) {
+    await rollbackTransaction(session);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Event registration error:', error);
+    res.status(500).json({ success: false, message: 'Server error registering for event' });
+  } finally {
+    session.endSession();
+  }
+});
 
-    await Notification.create({
-      userId: booking.userId,
-      title: 'Check-out Successful',
-      message: `You have checked out from ${booking.zoneName}`,
-      type: 'success',
-    });
+// Live registration and check-in counts for the event organizer. Updates are
+// also pushed as event_update WebSocket messages.
+app.get('/api/events/:eventId/attendance', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
 
-    const zoneData = await getZoneAvailability(zoneId);
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
 
-    broadcast({
-      type: 'zone_update',
-      zoneId: zoneId,
-      available: zoneData.available
-    });
+    const isOrganizer = event.organizer && event.organizer.toString() === req.user.id;
+    if (!isOrganizer && !can(req.user, 'events:read')) {
+      return res.status(403).json({ success: false, message: 'Only the event organizer can view attendance' });
+    }
 
-    broadcast({
-      type: 'notification',
-      userId: booking.userId.toString(),
-      title: 'Check-out Successful',
-      message: `Checked out from ${zoneName}`,
-      notificationType: 'success'
-    });
+    const attendance = await getEventAttendance(event);
 
-    res.json({ success: true, message: 'Check-out successful', booking });
+    res.json({ success: true, name: event.name, bookedSlots: event.bookedSlots, ...attendance });
   } catch (error) {
-    console.error('Check-out error:', error);
-    res.status(500).json({ success: false, message: 'Server error during check-out' });
+    console.error('Get event attendance error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching attendance' });
   }
 });
 
-app.get('/api/bookings/history', authenticateToken, async (req, res) => {
+// ===== ADMIN ROUTES =====
+
+app.get('/api/admin/bookings', authenticateToken, requirePermission('bookings:read'), async (req, res) => {
   try {
-    const { status, startDate, endDate } = req.query;
-    let query = { userId: req.user.id };
+    const { status, zoneId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    let query = {};
 
     if (status && ['active', 'completed', 'cancelled'].includes(status)) {
       query.status = status;
     }
 
+    if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
+      query.zoneId = zoneId;
+    }
+
     if (startDate && endDate) {
       const start = new Date(startDate);
       const end = new Date(endDate);
@@ -1109,409 +6915,359 @@ app.get('/api/bookings/history', authenticateToken, async (req, res) => {
       }
     }
 
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
     const bookings = await Booking.find(query)
-      .sort({ date: -1 })
+      .populate('userId', 'name email vehicleNumber')
       .populate('zoneId', 'name type')
-      .limit(100);
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
 
-    res.json({ success: true, bookings });
+    const total = await Booking.countDocuments(query);
+
+    res.json({ 
+      success: true, 
+      bookings,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
   } catch (error) {
-    console.error('Get booking history error:', error);
-    res.status(500).json({ success: false, message: 'Server error fetching history' });
+    console.error('Get all bookings error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching bookings' });
   }
 });
 
-// ===== NOTIFICATION ROUTES =====
-
-app.get('/api/notifications/:userId', authenticateToken, async (req, res) => {
+app.get('/api/admin/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
-      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    const { role, page = 1, limit = 50 } = req.query;
+    let query = {};
+    
+    if (role && ['student', 'staff', 'admin', 'visitor', 'attendant'].includes(role)) {
+      query.role = role;
     }
 
-    if (req.user.id !== req.params.userId && req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Unauthorized' });
-    }
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const notifications = await Notification.find({ userId: req.params.userId })
+    const users = await User.find(query)
+      .select('-password')
       .sort({ createdAt: -1 })
-      .limit(50);
+      .skip(skip)
+      .limit(parseInt(limit));
 
-    const formattedNotifications = notifications.map((notif) => ({
-      id: notif._id,
-      title: notif.title,
-      message: notif.message,
-      type: notif.type,
-      time: getTimeAgo(notif.createdAt),
-      read: notif.read,
-      createdAt: notif.createdAt
-    }));
+    const total = await User.countDocuments(query);
 
-    res.json(formattedNotifications);
+    res.json({ 
+      success: true, 
+      users,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
   } catch (error) {
-    console.error('Get notifications error:', error);
-    res.status(500).json({ success: false, message: 'Server error fetching notifications' });
+    console.error('Get users error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching users' });
   }
 });
 
-app.patch('/api/notifications/:notificationId/read', authenticateToken, async (req, res) => {
+app.get('/api/admin/users/:userId/sessions', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.notificationId)) {
-      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
-    }
-
-    const notification = await Notification.findById(req.params.notificationId);
-
-    if (!notification) {
-      return res.status(404).json({ success: false, message: 'Notification not found' });
-    }
-
-    if (notification.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    notification.read = true;
-    await notification.save();
+    const sessions = await Session.find({
+      userId: req.params.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
 
-    res.json({ success: true });
+    res.json({ success: true, sessions: sessions.map(session => formatSession(session)) });
   } catch (error) {
-    console.error('Mark notification read error:', error);
-    res.status(500).json({ success: false, message: 'Server error updating notification' });
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching sessions' });
   }
 });
 
-app.post('/api/notifications/send', authenticateToken, async (req, res) => {
+// Revoke one of a user's sessions, or all of them with sessionId "all"
+app.delete('/api/admin/users/:userId/sessions/:sessionId', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+    const { userId, sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) ||
+        (sessionId !== 'all' && !mongoose.Types.ObjectId.isValid(sessionId))) {
+      return res.status(400).json({ success: false, message: 'Invalid user or session ID' });
     }
 
-    const { userId, title, message, type } = req.body;
-
-    if (!userId || !title || !message) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'userId, title, and message are required' 
-      });
-    }
+    const filter = sessionId === 'all' ? { userId } : { _id: sessionId, userId };
+    const revoked = await revokeSessions(filter, { revokedBy: req.user.id });
 
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    if (sessionId !== 'all' && revoked === 0) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
     }
 
-    const notification = new Notification({
-      userId,
-      title,
-      message,
-      type: type || 'info',
-    });
-
-    await notification.save();
-
-    broadcast({
-      type: 'notification',
-      userId: userId,
-      title: title,
-      message: message,
-      notificationType: type || 'info'
-    });
-
-    res.json({ success: true, notification });
+    res.json({ success: true, message: 'Sessions revoked', revoked });
   } catch (error) {
-    console.error('Send notification error:', error);
-    res.status(500).json({ success: false, message: 'Server error sending notification' });
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error revoking sessions' });
   }
 });
 
-app.post('/api/notifications/broadcast', authenticateToken, async (req, res) => {
+// Change a user's role. Every change is recorded with its reason and the
+// user is signed out so the new role applies straight away.
+app.patch('/api/admin/users/:userId/role', authenticateToken, requirePermission('roles:manage'), roleChangeValidation, handleValidationErrors, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    const { title, message, type, role } = req.body;
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
 
-    if (!title || !message) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'title and message are required' 
-      });
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    let query = {};
-    if (role && ['student', 'staff', 'admin', 'visitor'].includes(role)) {
-      query.role = role;
+    const { role, reason } = req.body;
+    if (user.role === role) {
+      return res.status(400).json({ success: false, message: `User is already ${role === 'admin' || role === 'attendant' ? 'an' : 'a'} ${role}` });
     }
-    
-    const users = await User.find(query).select('_id');
 
-    if (users.length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'No users found matching criteria' 
-      });
+    if (user.role === 'admin') {
+      const admins = await User.countDocuments({ role: 'admin', isActive: true });
+      if (admins <= 1) {
+        return res.status(400).json({ success: false, message: 'Cannot remove the last admin' });
+      }
     }
 
-    const notifications = users.map(user => ({
-      userId: user._id,
-      title,
-      message,
-      type: type || 'info',
-    }));
+    if (role === 'staff' && user.staffRequest && user.staffRequest.status === 'pending') {
+      user.staffRequest.status = 'approved';
+      user.staffRequest.decidedBy = req.user.id;
+      user.staffRequest.decidedAt = new Date();
+    }
 
-    await Notification.insertMany(notifications);
+    const fromRole = user.role;
+    await changeUserRole(user, role, { method: 'admin', changedBy: req.user.id, reason, endSessions: true });
 
-    broadcast({
-      type: 'notification',
-      title: title,
-      message: message,
-      notificationType: type || 'info',
-      broadcast: true
+    await Notification.create({
+      userId: user._id,
+      title: 'Account Role Changed',
+      message: `Your account role has changed from ${fromRole} to ${role}`,
+      type: 'info',
     });
 
     res.json({
       success: true,
-      message: `Notification sent to ${users.length} users`,
+      user: { id: user._id, name: user.name, email: user.email, role: user.role },
     });
   } catch (error) {
-    console.error('Broadcast notification error:', error);
-    res.status(500).json({ success: false, message: 'Server error broadcasting notification' });
-  }
-});
-
-// ===== EVENT ROUTES =====
-
-app.get('/api/events', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
-    const events = await Event.find().sort({ date: 1 });
-
-    const formattedEvents = events.map((event) => ({
-      id: event._id,
-      name: event.name,
-      date: event.date ? event.date.toISOString().split('T')[0] : 'N/A',
-      allocatedSlots: event.allocatedSlots,
-      zone: event.zone,
-      description: event.description,
-    }));
-
-    res.json(formattedEvents);
-  } catch (error) {
-    console.error('Get events error:', error);
-    res.status(500).json({ success: false, message: 'Server error fetching events' });
+    console.error('Change role error:', error);
+    res.status(500).json({ success: false, message: 'Server error changing role' });
   }
 });
 
-app.post('/api/events', authenticateToken, async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  
+app.get('/api/admin/role-changes', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      await session.abortTransaction();
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
-    const { name, date, allocatedSlots, zone, zoneId } = req.body;
-
-    if (!name || !date || allocatedSlots === undefined) {
-      await session.abortTransaction();
-      return res.status(400).json({ 
-        success: false, 
-        message: 'name, date, and allocatedSlots are required' 
-      });
-    }
+    const { userId, page = 1, limit = 50 } = req.query;
+    let query = {};
 
-    const allocatedSlotsNum = parseInt(allocatedSlots);
-    if (isNaN(allocatedSlotsNum) || allocatedSlotsNum <= 0) {
-      await session.abortTransaction();
-      return res.status(400).json({ 
-        success: false, 
-        message: 'allocatedSlots must be a positive number' 
-      });
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      query.userId = userId;
     }
 
-    // Validate and update zone if provided
-    let zoneDoc = null;
-    if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
-      zoneDoc = await Zone.findById(zoneId).session(session);
-      if (!zoneDoc) {
-        await session.abortTransaction();
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Selected zone does not exist' 
-        });
-      }
-
-      // Check if zone has enough available slots
-      const activeBookings = await Booking.countDocuments({
-        zoneId: zoneId,
-        status: 'active',
-        date: { $gte: new Date() }
-      }).session(session);
-
-      const currentAvailable = Math.max(0, zoneDoc.totalSlots - activeBookings);
-
-      if (currentAvailable < allocatedSlotsNum) {
-        await session.abortTransaction();
-        return res.status(400).json({ 
-          success: false, 
-          message: `Not enough available slots in ${zone}. Available: ${currentAvailable}, Requested: ${allocatedSlotsNum}` 
-        });
-      }
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      // Reduce zone availability by allocated slots
-      // We don't actually change totalSlots, but the available count will reflect this
-      // when calculating: available = totalSlots - activeBookings - allocatedSlots
-    }
+    const [roleChanges, total] = await Promise.all([
+      RoleChange.find(query)
+        .populate('userId', 'name email')
+        .populate('changedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      RoleChange.countDocuments(query)
+    ]);
 
-    const event = new Event({
-      name,
-      date,
-      allocatedSlots: allocatedSlotsNum,
-      zone,
-      zoneId,
-      description: req.body.description,
-      organizer: req.user.id,
+    res.json({ 
+      success: true, 
+      roleChanges,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
     });
-    
-    await event.save({ session });
-    await session.commitTransaction();
-
-    // Broadcast zone update if zone was specified
-    if (zoneDoc) {
-      const activeBookings = await Booking.countDocuments({
-        zoneId: zoneId,
-        status: 'active',
-        date: { $gte: new Date() }
-      });
-
-      // Calculate new available considering event allocation
-      const eventAllocations = await Event.aggregate([
-        { $match: { zoneId: new mongoose.Types.ObjectId(zoneId), date: { $gte: new Date() } } },
-        { $group: { _id: null, total: { $sum: '$allocatedSlots' } } }
-      ]);
-      const totalEventSlots = eventAllocations.length > 0 ? eventAllocations[0].total : 0;
+  } catch (error) {
+    console.error('Get role changes error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching role changes' });
+  }
+});
 
-      const newAvailable = Math.max(0, zoneDoc.totalSlots - activeBookings - totalEventSlots);
+app.get('/api/admin/staff-requests', authenticateToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
 
-      broadcast({
-        type: 'zone_update',
-        zoneId: zoneId,
-        available: newAvailable
-      });
-    }
+    const users = await User.find({ 'staffRequest.status': status })
+      .select('name email role phone emailVerified staffRequest createdAt')
+      .sort({ 'staffRequest.requestedAt': 1 });
 
-    res.json({ success: true, event });
+    res.json({ success: true, users });
   } catch (error) {
-    await session.abortTransaction();
-    console.error('Create event error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Server error creating event' 
-    });
-  } finally {
-    session.endSession();
+    console.error('Get staff requests error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching staff requests' });
   }
 });
 
-app.patch('/api/events/:eventId', authenticateToken, async (req, res) => {
+app.patch('/api/admin/staff-requests/:userId', authenticateToken, requirePermission('roles:manage'), staffDecisionValidation, handleValidationErrors, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
-      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    const event = await Event.findByIdAndUpdate(
-      req.params.eventId,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    if (!user.staffRequest || user.staffRequest.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'User has no pending staff request' });
+    }
 
-    if (!event) {
-      return res.status(404).json({ success: false, message: 'Event not found' });
+    const { decision, note } = req.body;
+    user.staffRequest.status = decision;
+    user.staffRequest.decidedBy = req.user.id;
+    user.staffRequest.decidedAt = new Date();
+    user.staffRequest.note = note;
+
+    if (decision === 'approved') {
+      await changeUserRole(user, 'staff', { method: 'approval', changedBy: req.user.id, reason: note });
+    } else {
+      await user.save();
     }
 
-    res.json({ success: true, event });
+    await notifyUser(user._id, {
+      title: decision === 'approved' ? 'Staff Access Approved' : 'Staff Access Declined',
+      message: decision === 'approved'
+        ? 'Staff parking is now available to you'
+        : 'Your staff request was not approved' + (note ? `: ${note}` : ''),
+      type: decision === 'approved' ? 'success' : 'warning',
+    });
+
+    res.json({ success: true, user: { id: user._id, role: user.role, staffRequest: user.staffRequest } });
   } catch (error) {
-    console.error('Update event error:', error);
-    res.status(500).json({ success: false, message: 'Server error updating event' });
+    console.error('Decide staff request error:', error);
+    res.status(500).json({ success: false, message: 'Server error deciding staff request' });
   }
 });
 
-app.delete('/api/events/:eventId', authenticateToken, async (req, res) => {
+// Invite someone to create an admin, attendant or staff account
+app.post('/api/admin/invitations', authenticateToken, requirePermission('roles:manage'), invitationValidation, handleValidationErrors, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
+    const { email, role, name } = req.body;
 
-    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
-      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already registered, change the existing account\'s role instead',
+        userId: existingUser._id,
+      });
     }
 
-    const event = await Event.findByIdAndDelete(req.params.eventId);
-
-    if (!event) {
-      return res.status(404).json({ success: false, message: 'Event not found' });
-    }
+    // A new invitation replaces any open one for the same address
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
 
-    // Broadcast zone update to restore availability
-    if (event.zoneId) {
-      const zone = await Zone.findById(event.zoneId);
-      if (zone) {
-        const activeBookings = await Booking.countDocuments({
-          zoneId: event.zoneId,
-          status: 'active',
-          date: { $gte: new Date() }
-        });
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await Invitation.create({
+      email,
+      name,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_DAYS * DAY_MS),
+    });
 
-        // Recalculate event allocations (excluding the deleted event)
-        const eventAllocations = await Event.aggregate([
-          { $match: { zoneId: event.zoneId, date: { $gte: new Date() } } },
-          { $group: { _id: null, total: { $sum: '$allocatedSlots' } } }
-        ]);
-        const totalEventSlots = eventAllocations.length > 0 ? eventAllocations[0].total : 0;
+    const inviter = await User.findById(req.user.id);
+    const sent = await sendInvitationEmail(invitation, token, inviter);
 
-        const newAvailable = Math.max(0, zone.totalSlots - activeBookings - totalEventSlots);
+    res.status(201).json({
+      success: true,
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        // Returned so the admin can pass the invitation on when mail isn't delivered
+        token,
+        url: invitationUrl(token),
+      },
+      emailSent: sent,
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ success: false, message: 'Server error creating invitation' });
+  }
+});
 
-        broadcast({
-          type: 'zone_update',
-          zoneId: event.zoneId.toString(),
-          available: newAvailable
-        });
-      }
-    }
+app.get('/api/admin/invitations', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .select('-tokenHash')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
 
-    res.json({ success: true, message: 'Event deleted successfully' });
+    res.json({ success: true, invitations });
   } catch (error) {
-    console.error('Delete event error:', error);
-    res.status(500).json({ success: false, message: 'Server error deleting event' });
+    console.error('Get invitations error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching invitations' });
   }
 });
 
-// ===== ADMIN ROUTES =====
-
-app.get('/api/admin/bookings', authenticateToken, async (req, res) => {
+app.delete('/api/admin/invitations/:invitationId', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+      return res.status(400).json({ success: false, message: 'Invalid invitation ID' });
     }
 
-    const { status, zoneId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'No open invitation found' });
+    }
+
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ success: false, message: 'Server error revoking invitation' });
+  }
+});
+
+app.get('/api/admin/transactions', authenticateToken, requirePermission('payments:read'), async (req, res) => {
+  try {
+    const { type, zoneId, startDate, endDate, page = 1, limit = 50 } = req.query;
     let query = {};
 
-    if (status && ['active', 'completed', 'cancelled'].includes(status)) {
-      query.status = status;
+    if (type && ['charge', 'adjustment', 'refund'].includes(type)) {
+      query.type = type;
     }
 
     if (zoneId && mongoose.Types.ObjectId.isValid(zoneId)) {
-      query.zoneId = zoneId;
+      query.zoneId = new mongoose.Types.ObjectId(zoneId);
     }
 
     if (startDate && endDate) {
@@ -1519,63 +7275,28 @@ app.get('/api/admin/bookings', authenticateToken, async (req, res) => {
       const end = new Date(endDate);
       
       if (!isNaN(start.getTime()) && !isNaN(end.getTime())) {
-        query.date = { $gte: start, $lte: end };
-      }
-    }
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const bookings = await Booking.find(query)
-      .populate('userId', 'name email vehicleNumber')
-      .populate('zoneId', 'name type')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Booking.countDocuments(query);
-
-    res.json({ 
-      success: true, 
-      bookings,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
+        end.setHours(23, 59, 59, 999);
+        query.createdAt = { $gte: start, $lte: end };
       }
-    });
-  } catch (error) {
-    console.error('Get all bookings error:', error);
-    res.status(500).json({ success: false, message: 'Server error fetching bookings' });
-  }
-});
-
-app.get('/api/admin/users', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
-    const { role, page = 1, limit = 50 } = req.query;
-    let query = {};
-    
-    if (role && ['student', 'staff', 'admin', 'visitor'].includes(role)) {
-      query.role = role;
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const users = await User.find(query)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await User.countDocuments(query);
+    const [transactions, total, revenue] = await Promise.all([
+      Transaction.find(query)
+        .populate('userId', 'name email')
+        .populate('bookingId', 'zoneName startTime endTime status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Transaction.countDocuments(query),
+      Transaction.totalRevenue(query)
+    ]);
 
     res.json({ 
       success: true, 
-      users,
+      transactions,
+      revenue,
       pagination: {
         total,
         page: parseInt(page),
@@ -1584,26 +7305,21 @@ app.get('/api/admin/users', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ success: false, message: 'Server error fetching users' });
+    console.error('Get transactions error:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching transactions' });
   }
 });
 
-app.get('/api/stats/dashboard', authenticateToken, async (req, res) => {
+app.get('/api/stats/dashboard', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
-    const [totalUsers, totalBookings, activeBookings, totalZones] = await Promise.all([
+    const [totalUsers, totalBookings, activeBookings, totalZones, revenue] = await Promise.all([
       User.countDocuments(),
       Booking.countDocuments(),
       Booking.countDocuments({ status: 'active' }),
-      Zone.countDocuments()
+      Zone.countDocuments(),
+      Transaction.totalRevenue()
     ]);
 
-    const revenue = totalBookings * 5;
-
     res.json({
       success: true,
       stats: {
@@ -1620,12 +7336,8 @@ app.get('/api/stats/dashboard', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/analytics/overview', authenticateToken, async (req, res) => {
+app.get('/api/analytics/overview', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
@@ -1638,7 +7350,9 @@ app.get('/api/analytics/overview', authenticateToken, async (req, res) => {
       totalUsers,
       totalZones,
       bookingsByZone,
-      bookingsByStatus
+      bookingsByStatus,
+      totalRevenue,
+      todayRevenue
     ] = await Promise.all([
       Booking.countDocuments({ date: { $gte: today, $lt: tomorrow } }),
       Booking.countDocuments({ date: { $gte: today, $lt: tomorrow }, status: 'active' }),
@@ -1653,11 +7367,11 @@ app.get('/api/analytics/overview', authenticateToken, async (req, res) => {
       ]),
       Booking.aggregate([
         { $group: { _id: '$status', count: { $sum: 1 } } }
-      ])
+      ]),
+      Transaction.totalRevenue(),
+      Transaction.totalRevenue({ createdAt: { $gte: today, $lt: tomorrow } })
     ]);
 
-    const totalRevenue = totalBookings * 5;
-
     res.json({
       success: true,
       analytics: {
@@ -1667,6 +7381,7 @@ app.get('/api/analytics/overview', authenticateToken, async (req, res) => {
         totalUsers,
         totalZones,
         totalRevenue,
+        todayRevenue,
         bookingsByZone,
         bookingsByStatus,
       },
@@ -1685,7 +7400,7 @@ app.get('/api/users/:userId', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    if (req.user.id !== req.params.userId && req.user.role !== 'admin') {
+    if (req.user.id !== req.params.userId && !can(req.user, 'users:read')) {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
 
@@ -1705,20 +7420,27 @@ app.get('/api/users/:userId', authenticateToken, async (req, res) => {
 app.patch('/api/users/:userId', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { name, phone, vehicleNumber } = req.body;
+    const { name, phone, vehicleNumber, photoUrl, department } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.user.id !== userId && !can(req.user, 'users:manage')) {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
 
+    // Departments can grant zone access, so users cannot set their own
+    if (department !== undefined && !can(req.user, 'users:manage')) {
+      return res.status(403).json({ success: false, message: 'Only admins can change a department' });
+    }
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (phone !== undefined) updateData.phone = phone;
     if (vehicleNumber !== undefined) updateData.vehicleNumber = vehicleNumber;
+    if (photoUrl !== undefined) updateData.photoUrl = photoUrl;
+    if (department !== undefined) updateData.department = department;
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -1730,6 +7452,10 @@ app.patch('/api/users/:userId', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    if (vehicleNumber) {
+      await registerProfileVehicle(user._id, vehicleNumber);
+    }
+
     res.json({ success: true, user });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -1746,7 +7472,7 @@ app.post('/api/users/:userId/push-token', authenticateToken, async (req, res) =>
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.user.id !== userId && !can(req.user, 'users:manage')) {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
 
@@ -1869,11 +7595,11 @@ async function seedDatabase() {
     // Check if admin user already exists
     const existingAdmin = await User.findOne({ email: 'admin@campus.edu' });
     if (!existingAdmin) {
-      const hashedPassword = await bcrypt.hash('admin123', 10);
       await User.create({
         name: 'Admin User',
         email: 'admin@campus.edu',
-        password: hashedPassword,
+        password: 'admin123',
+        emailVerified: true,
         role: 'admin',
         phone: '1234567890'
       });
@@ -1914,6 +7640,85 @@ async function seedDatabase() {
   }
 }
 
+// Backfill parking spaces for zones created before space inventory existed
+async function syncAllZoneSpaces() {
+  try {
+    const zones = await Zone.find();
+    let created = 0;
+
+    for (const zone of zones) {
+      created += await syncZoneSpaces(zone);
+    }
+
+    if (created > 0) {
+      console.log(`✓ Created ${created} parking spaces`);
+    }
+  } catch (error) {
+    console.error('Space sync error:', error);
+  }
+}
+
+// Register the vehicle numbers on profiles created before vehicle registration
+async function syncProfileVehicles() {
+  try {
+    const users = await User.find({ vehicleNumber: { $nin: [null, ''] } }).select('vehicleNumber');
+    const registered = new Set(await Vehicle.distinct('userId').then(ids => ids.map(id => id.toString())));
+    let created = 0;
+
+    for (const user of users) {
+      if (!registered.has(user._id.toString())) {
+        await registerProfileVehicle(user._id, user.vehicleNumber);
+        created++;
+      }
+    }
+
+    if (created > 0) {
+      console.log(`✓ Registered ${created} profile vehicles`);
+    }
+  } catch (error) {
+    console.error('Vehicle sync error:', error);
+  }
+}
+
+// Replace QR codes on active bookings and approved permits that do not
+// verify with the current key: unsigned codes from before QR signing, or
+// codes signed with an old key
+async function reissueInvalidQRCodes() {
+  try {
+    const bookings = await Booking.find({ status: 'active', checkOutTime: null });
+    let reissued = 0;
+
+    for (const booking of bookings) {
+      if (!verifyQRToken(booking.qrCode, { ignoreExpiry: true }).valid) {
+        booking.qrCode = generateQRCode(booking);
+        await booking.save();
+        reissued++;
+      }
+    }
+
+    if (reissued > 0) {
+      console.log(`✓ Reissued ${reissued} booking QR codes`);
+    }
+
+    const permits = await Permit.find({ status: 'approved', validUntil: { $gt: new Date() } });
+    let reissuedPermits = 0;
+
+    for (const permit of permits) {
+      if (!verifyQRToken(permit.qrCode, { ignoreExpiry: true }).valid) {
+        permit.qrCode = generatePermitQRCode(permit);
+        await permit.save();
+        reissuedPermits++;
+      }
+    }
+
+    if (reissuedPermits > 0) {
+      console.log(`✓ Reissued ${reissuedPermits} permit QR codes`);
+    }
+  } catch (error) {
+    console.error('QR reissue error:', error);
+  }
+}
+
 // ===== ADMIN REPORTS ROUTES =====
 
 /**
@@ -1921,13 +7726,9 @@ async function seedDatabase() {
  * @description Get comprehensive admin reports with date range filtering
  * @access Private (Admin only)
  */
-app.get('/api/admin/reports', authenticateToken, async (req, res) => {
+app.get('/api/admin/reports', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
     // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const { startDate, endDate } = req.query;
     
     // Validate dates
@@ -2036,12 +7837,15 @@ app.get('/api/admin/reports', authenticateToken, async (req, res) => {
       checkOutTime: booking.checkOutTime ? new Date(booking.checkOutTime).toLocaleString() : 'Not checked out'
     }));
 
+    // Revenue comes from the payment ledger for the report period
+    const totalRevenue = await Transaction.totalRevenue({ createdAt: { $gte: start, $lte: end } });
+
     // Calculate summary statistics
     const summary = {
       totalUsers: formattedUsers.length,
       totalBookings: formattedBookings.length,
       activeEvents: activeEvents,
-      totalRevenue: formattedBookings.length * 5, // Assuming $5 per booking
+      totalRevenue,
       activeBookings: formattedBookings.filter(b => b.status === 'active').length,
       completedBookings: formattedBookings.filter(b => b.status === 'completed').length,
       cancelledBookings: formattedBookings.filter(b => b.status === 'cancelled').length
@@ -2099,12 +7903,8 @@ app.get('/api/admin/reports', authenticateToken, async (req, res) => {
  * @description Get quick summary statistics for dashboard
  * @access Private (Admin only)
  */
-app.get('/api/admin/reports/summary', authenticateToken, async (req, res) => {
+app.get('/api/admin/reports/summary', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
@@ -2116,14 +7916,16 @@ app.get('/api/admin/reports/summary', authenticateToken, async (req, res) => {
       activeBookings,
       todayBookings,
       totalZones,
-      upcomingEvents
+      upcomingEvents,
+      totalRevenue
     ] = await Promise.all([
       User.countDocuments({ role: { $ne: 'admin' } }),
       Booking.countDocuments(),
       Booking.countDocuments({ status: 'active' }),
       Booking.countDocuments({ date: { $gte: today, $lt: tomorrow } }),
       Zone.countDocuments(),
-      Event.countDocuments({ date: { $gte: today } })
+      Event.countDocuments({ date: { $gte: today } }),
+      Transaction.totalRevenue()
     ]);
 
     res.json({
@@ -2135,7 +7937,7 @@ app.get('/api/admin/reports/summary', authenticateToken, async (req, res) => {
         todayBookings,
         totalZones,
         upcomingEvents,
-        totalRevenue: totalBookings * 5
+        totalRevenue
       }
     });
   } catch (error) {
@@ -2152,12 +7954,8 @@ app.get('/api/admin/reports/summary', authenticateToken, async (req, res) => {
  * @description Get detailed analytics for charts and graphs
  * @access Private (Admin only)
  */
-app.get('/api/admin/reports/analytics', authenticateToken, async (req, res) => {
+app.get('/api/admin/reports/analytics', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const { days = 30 } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
@@ -2279,12 +8077,8 @@ app.get('/api/admin/reports/analytics', authenticateToken, async (req, res) => {
  * @description Export data for external processing
  * @access Private (Admin only)
  */
-app.get('/api/admin/reports/export', authenticateToken, async (req, res) => {
+app.get('/api/admin/reports/export', authenticateToken, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const { startDate, endDate, type = 'all' } = req.query;
 
     if (!startDate || !endDate) {
@@ -2347,12 +8141,8 @@ app.get('/api/admin/reports/export', authenticateToken, async (req, res) => {
  * @description Generate a PDF report of visitors within a date range (returns base64)
  * @access Private (Admin only)
  */
-app.get('/api/admin/reports/visitors/pdf', authenticateToken, async (req, res) => {
+app.get('/api/admin/reports/visitors/pdf', authenticateDownload, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const { startDate, endDate } = req.query;
     
     if (!startDate || !endDate) {
@@ -2500,12 +8290,8 @@ app.get('/api/admin/reports/visitors/pdf', authenticateToken, async (req, res) =
  * @description Generate a PDF report of events within a date range (returns base64)
  * @access Private (Admin only)
  */
-app.get('/api/admin/reports/events/pdf', authenticateToken, async (req, res) => {
+app.get('/api/admin/reports/events/pdf', authenticateDownload, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const { startDate, endDate } = req.query;
     
     if (!startDate || !endDate) {
@@ -2639,12 +8425,8 @@ app.get('/api/admin/reports/events/pdf', authenticateToken, async (req, res) =>
  * @description Generate a combined PDF report of bookings, users, and events within a date range (returns base64)
  * @access Private (Admin only)
  */
-app.get('/api/admin/reports/combined/pdf', authenticateToken, async (req, res) => {
+app.get('/api/admin/reports/combined/pdf', authenticateDownload, requirePermission('reports:read'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
-    }
-
     const { startDate, endDate } = req.query;
     
     if (!startDate || !endDate) {
@@ -2758,12 +8540,15 @@ app.get('/api/admin/reports/combined/pdf', authenticateToken, async (req, res) =
       description: event.description || ''
     }));
 
+    // Revenue comes from the payment ledger for the report period
+    const totalRevenue = await Transaction.totalRevenue({ createdAt: { $gte: start, $lte: end } });
+
     // Calculate summary statistics
     const summary = {
       totalUsers: formattedUsers.length,
       totalBookings: formattedBookings.length,
       activeEvents: events.length,
-      totalRevenue: formattedBookings.length * 5, // Assuming $5 per booking
+      totalRevenue,
       activeBookings: formattedBookings.filter(b => b.status === 'active').length,
       completedBookings: formattedBookings.filter(b => b.status === 'completed').length,
       cancelledBookings: formattedBookings.filter(b => b.status === 'cancelled').length
@@ -2842,10 +8627,11 @@ async function expireOldBookings() {
   try {
     const now = new Date();
     
-    // Find bookings that are past their endTime and still active
+    // Find no-shows: bookings past their endTime that were never checked in
     const expiredBookings = await Booking.find({
       status: { $in: ['active', 'checked-in'] },
-      endTime: { $lt: now }
+      endTime: { $lt: now },
+      checkInTime: null,
     });
 
     if (expiredBookings.length > 0) {
@@ -2855,23 +8641,16 @@ async function expireOldBookings() {
         // Mark as expired
         booking.status = 'expired';
         
-        // Add violation if user never checked out
-        if (booking.checkInTime && !booking.checkOutTime) {
-          booking.violations.push({
-            type: 'no-checkout',
-            description: 'User failed to check out before booking expired',
-            timestamp: now
-          });
-        } else if (!booking.checkInTime) {
-          booking.violations.push({
-            type: 'unauthorized',
-            description: 'User never checked in - no-show',
-            timestamp: now
-          });
-        }
-        
+        const violations = [addViolation(booking, {
+          type: 'unauthorized',
+          description: 'User never checked in - no-show',
+          timestamp: now
+        })];
+
         await booking.save();
 
+        await applyViolations(violations);
+
         // Send notification to user
         await Notification.create({
           userId: booking.userId,
@@ -2881,18 +8660,55 @@ async function expireOldBookings() {
         });
 
         // Broadcast zone update
-        const zoneData = await getZoneAvailability(booking.zoneId);
-        if (zoneData) {
-          broadcast({
-            type: 'zone_update',
-            zoneId: booking.zoneId.toString(),
-            available: zoneData.available
-          });
-        }
+        await promoteWaitlist(booking.zoneId);
+        await broadcastZoneUpdate(booking.zoneId, { start: booking.startTime, end: booking.endTime });
       }
 
       console.log(`✓ Expired ${expiredBookings.length} old bookings`);
     }
+
+    // Vehicles still parked past their booked end keep their booking until
+    // they check out. The first run after the end records a no-checkout
+    // violation; the overstay is recorded then and grown on each later run.
+    const overstayingBookings = await Booking.find({
+      status: 'active',
+      endTime: { $lt: now },
+      checkInTime: { $ne: null },
+      checkOutTime: null,
+    });
+
+    for (const booking of overstayingBookings) {
+      // Permit holders stay covered overnight while the permit is valid
+      if (await rollOverPermitVisit(booking, now) && !isOverstaying(booking, now)) {
+        await booking.save();
+        continue;
+      }
+
+      const violations = [];
+
+      if (!booking.violations.some(recorded => recorded.type === 'no-checkout')) {
+        violations.push(addViolation(booking, {
+          type: 'no-checkout',
+          description: 'User failed to check out before booking expired',
+          timestamp: now
+        }));
+      }
+
+      const zone = await Zone.findById(booking.zoneId);
+      if (booking.violations.some(recorded => recorded.type === 'overstay')) {
+        await updateOverstay(booking, zone, now);
+      } else {
+        const overstay = recordOverstay(booking, zone, now);
+        if (overstay) violations.push(overstay);
+      }
+
+      await booking.save();
+      await applyViolations(violations);
+    }
+
+    if (overstayingBookings.length > 0) {
+      console.log(`✓ Checked ${overstayingBookings.length} vehicles parked past their booking`);
+    }
   } catch (error) {
     console.error('Error in expireOldBookings job:', error);
   }
@@ -2996,6 +8812,76 @@ async function sendBookingReminders() {
   }
 }
 
+// Function to release waitlist holds that were not accepted in time
+async function expireWaitlistHolds() {
+  try {
+    const now = new Date();
+
+    // Waiting entries whose window has passed can never be offered
+    await WaitlistEntry.updateMany(
+      { status: 'waiting', endTime: { $lte: now } },
+      { status: 'expired' }
+    );
+
+    const expiredHolds = await WaitlistEntry.find({
+      status: 'offered',
+      holdExpiresAt: { $lte: now },
+    });
+
+    const zoneIds = new Set();
+
+    for (const entry of expiredHolds) {
+      entry.status = 'expired';
+      await entry.save();
+      zoneIds.add(entry.zoneId.toString());
+
+      await Notification.create({
+        userId: entry.userId,
+        title: 'Waitlist Hold Expired',
+        message: `Your held slot at ${entry.zoneName} was released because it was not accepted in time`,
+        type: 'warning',
+      });
+    }
+
+    // Pass the released slots on to the next users in line
+    for (const zoneId of zoneIds) {
+      await promoteWaitlist(zoneId);
+      await broadcastZoneUpdate(zoneId);
+    }
+
+    if (expiredHolds.length > 0) {
+      console.log(`✓ Released ${expiredHolds.length} expired waitlist holds`);
+    }
+  } catch (error) {
+    console.error('Error in expireWaitlistHolds job:', error);
+  }
+}
+
+// Mark permits past their validity as expired and let holders know
+async function expirePermits() {
+  try {
+    const expired = await Permit.find({ status: 'approved', validUntil: { $lt: new Date() } });
+
+    for (const permit of expired) {
+      permit.status = 'expired';
+      await permit.save();
+
+      await Notification.create({
+        userId: permit.userId,
+        title: 'Permit Expired',
+        message: `Your ${permit.period} permit for ${permit.zoneName} has expired`,
+        type: 'info',
+      });
+    }
+
+    if (expired.length > 0) {
+      console.log(`✓ Expired ${expired.length} permits`);
+    }
+  } catch (error) {
+    console.error('Error in expirePermits job:', error);
+  }
+}
+
 // Schedule cleanup job to run every hour
 cron.schedule('0 * * * *', () => {
   console.log('Running automated booking cleanup job...');
@@ -3008,6 +8894,16 @@ cron.schedule('*/10 * * * *', () => {
   sendBookingReminders();
 });
 
+// Schedule waitlist hold expiry to run every minute
+cron.schedule('* * * * *', () => {
+  expireWaitlistHolds();
+});
+
+// Schedule permit expiry to run daily just after midnight
+cron.schedule('5 0 * * *', () => {
+  expirePermits();
+});
+
 // Run cleanup on startup
 console.log('Running initial booking cleanup...');
 expireOldBookings();
@@ -3015,6 +8911,10 @@ expireOldBookings();
 mongoose.connection.once('open', async () => {
   console.log('✓ Connected to MongoDB');
   await seedDatabase();
+  await seedAccessPolicies();
+  await syncAllZoneSpaces();
+  await reissueInvalidQRCodes();
+  await syncProfileVehicles();
   
   server.listen(PORT, '0.0.0.0', () => {
     const localIP = getLocalIP();
@@ -0,0 +1,53 @@
+// backend/tests/accessPolicy.test.js
+// Zone access policy decisions. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { evaluateAccess } = require('../utils/accessPolicy');
+
+const zone = { _id: '65f000000000000000000001', type: 'staff' };
+const student = { id: '65f000000000000000000010', role: 'student', department: 'Physics' };
+const staff = { id: '65f000000000000000000011', role: 'staff', department: 'Physics' };
+// Monday 19 October 2026, local time
+const at = hour => new Date(2026, 9, 19, hour);
+
+const staffParking = { name: 'Staff parking', zoneType: 'staff', roles: ['staff'], effect: 'allow' };
+
+test('evaluateAccess allows users an allow policy covers and refuses everyone else', () => {
+  const policies = [staffParking];
+
+  assert.strictEqual(evaluateAccess({ policies, user: staff, zone, startTime: at(9), endTime: at(10) }).reason, 'allowed');
+  assert.strictEqual(evaluateAccess({ policies, user: student, zone, startTime: at(9), endTime: at(10) }).reason, 'no-policy');
+});
+
+test('evaluateAccess ignores inactive policies and policies for other zones', () => {
+  const policies = [
+    { ...staffParking, isActive: false },
+    { ...staffParking, zoneType: undefined, zoneId: '65f000000000000000000002' },
+  ];
+
+  assert.strictEqual(evaluateAccess({ policies, user: staff, zone, startTime: at(9), endTime: at(10) }).allowed, false);
+});
+
+test('evaluateAccess needs an allow window to cover the whole booking', () => {
+  const policies = [{ ...staffParking, roles: ['student'], startHour: 8, endHour: 12 }];
+
+  assert.strictEqual(evaluateAccess({ policies, user: student, zone, startTime: at(9), endTime: at(11) }).allowed, true);
+  assert.strictEqual(evaluateAccess({ policies, user: student, zone, startTime: at(11), endTime: at(13) }).reason, 'outside-window');
+});
+
+test('evaluateAccess lets a deny policy win at equal priority when it overlaps the booking', () => {
+  const deny = { name: 'Physics works', zoneType: 'staff', departments: ['Physics'], effect: 'deny', startHour: 12, endHour: 13 };
+  const policies = [staffParking, deny];
+
+  assert.strictEqual(evaluateAccess({ policies, user: staff, zone, startTime: at(11), endTime: at(13) }).reason, 'denied');
+  assert.strictEqual(evaluateAccess({ policies, user: staff, zone, startTime: at(9), endTime: at(11) }).reason, 'allowed');
+});
+
+test('evaluateAccess lets a higher priority policy override a lower one', () => {
+  const exception = { ...staffParking, name: 'Exception', roles: [], userIds: [staff.id], effect: 'allow', priority: 10 };
+  const deny = { ...staffParking, name: 'Closed', roles: [], effect: 'deny' };
+
+  assert.strictEqual(evaluateAccess({ policies: [deny, exception], user: staff, zone, startTime: at(9), endTime: at(10) }).policy, exception);
+  assert.strictEqual(evaluateAccess({ policies: [deny, exception], user: student, zone, startTime: at(9), endTime: at(10) }).policy, deny);
+});
@@ -0,0 +1,64 @@
+// backend/tests/adminPermissions.test.js
+// Every /api/admin route must declare the permission it needs with
+// requirePermission. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { PERMISSIONS } = require('../utils/permissions');
+const adminRoutes = require('../routes/adminRoutes');
+
+const serverSource = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+
+// Routes declared on the app in server.js, with the middleware list that
+// comes before the handler
+function serverRoutes() {
+  const routes = [];
+  const pattern = /app\.(get|post|put|patch|delete)\(\s*'([^']+)'/g;
+  let match;
+
+  while ((match = pattern.exec(serverSource))) {
+    const rest = serverSource.slice(pattern.lastIndex);
+    const handlerAt = rest.search(/async \(req, res\)|\(req, res\) =>|scanHandler\(/);
+    routes.push({
+      method: match[1].toUpperCase(),
+      path: match[2],
+      middleware: rest.slice(0, handlerAt),
+    });
+  }
+
+  return routes;
+}
+
+test('every route in routes/adminRoutes.js requires a permission', () => {
+  const routes = adminRoutes.stack.filter(layer => layer.route);
+  assert.ok(routes.length > 0);
+
+  for (const layer of routes) {
+    const methods = Object.keys(layer.route.methods).join(',').toUpperCase();
+    const guarded = layer.route.stack.some(handler => Array.isArray(handler.handle.permissions));
+    assert.ok(guarded, `${methods} /api/admin${layer.route.path} has no requirePermission`);
+  }
+});
+
+test('every /api/admin route in server.js requires a permission', () => {
+  const routes = serverRoutes().filter(route => route.path.startsWith('/api/admin'));
+  assert.ok(routes.length > 0);
+
+  for (const route of routes) {
+    assert.match(route.middleware, /requirePermission\(/, `${route.method} ${route.path} has no requirePermission`);
+  }
+});
+
+test('routes only use permissions that are defined', () => {
+  const sources = [serverSource, fs.readFileSync(path.join(__dirname, '..', 'routes', 'adminRoutes.js'), 'utf8')];
+
+  for (const source of sources) {
+    for (const [, names] of source.matchAll(/(?:requirePermission|can)\(([^)]*)\)/g)) {
+      for (const [, name] of names.matchAll(/'([a-z-]+:[a-z-]+)'/g)) {
+        assert.ok(PERMISSIONS[name], `Unknown permission ${name}`);
+      }
+    }
+  }
+});
@@ -0,0 +1,47 @@
+// backend/tests/plates.test.js
+// Camera plate matching. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizePlate, matchPlate, plateCandidatePattern } = require('../utils/plates');
+
+const plateOf = candidate => candidate.plate;
+
+test('normalizePlate drops case and separators', () => {
+  assert.strictEqual(normalizePlate(' ab-12 cd '), 'AB12CD');
+});
+
+test('matchPlate finds a read with one OCR confusion or edit', () => {
+  const candidates = [{ plate: 'AB12 CDE' }, { plate: 'XY98 ZZZ' }];
+
+  assert.strictEqual(matchPlate('A812CDE', candidates, plateOf).match, candidates[0]);
+  assert.strictEqual(matchPlate('AB12CD', candidates, plateOf).distance, 1);
+  assert.strictEqual(matchPlate('QQ11 QQQ', candidates, plateOf).match, null);
+});
+
+test('matchPlate flags different plates that are equally close', () => {
+  const result = matchPlate('AB12CDE', [{ plate: 'AB12CDF' }, { plate: 'AB12CDG' }], plateOf);
+
+  assert.strictEqual(result.ambiguous, true);
+});
+
+test('matchPlate treats candidates with the same plate as one vehicle, picked by compare', () => {
+  const candidates = [
+    { plate: 'AB12 CDE', startTime: 10 },
+    { plate: 'ab12cde', startTime: 9 },
+  ];
+  const result = matchPlate('AB12CDE', candidates, plateOf, (a, b) => a.startTime - b.startTime);
+
+  assert.strictEqual(result.ambiguous, false);
+  assert.strictEqual(result.match, candidates[1]);
+  assert.strictEqual(result.matches.length, 2);
+});
+
+test('plateCandidatePattern admits every plate matchPlate could accept', () => {
+  const pattern = plateCandidatePattern('AB12CDE');
+
+  ['AB12CDE', 'A812CDE', 'AB12CD', 'AB12CDEF', 'XB12CDE'].forEach((plate) => {
+    assert.match(plate, pattern);
+  });
+  assert.doesNotMatch('XY98ZZZ', pattern);
+});
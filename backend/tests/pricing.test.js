@@ -0,0 +1,77 @@
+// backend/tests/pricing.test.js
+// Price quotes and cancellation refunds. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { quotePrice, calculateRefund } = require('../utils/pricing');
+
+const HOUR_MS = 60 * 60 * 1000;
+const zone = { pricePerHour: 2 };
+// Monday 19 October 2026, local time
+const at = (hour, minute = 0) => new Date(2026, 9, 19, hour, minute);
+
+test('quotePrice charges the base rate per hour, prorating part hours', () => {
+  const quote = quotePrice({ zone, role: 'student', startTime: at(9), endTime: at(11, 30) });
+
+  assert.strictEqual(quote.hours, 2.5);
+  assert.strictEqual(quote.total, 5);
+});
+
+test('quotePrice multiplies only the hours a time-of-day rule covers', () => {
+  const rules = [{ type: 'time-of-day', name: 'Peak', startHour: 8, endHour: 10, multiplier: 2 }];
+  const quote = quotePrice({ zone, rules, role: 'student', startTime: at(9), endTime: at(11) });
+
+  // 09-10 at 4, 10-11 at 2
+  assert.strictEqual(quote.total, 6);
+  assert.deepStrictEqual(quote.breakdown[0].rulesApplied, ['Peak']);
+});
+
+test('quotePrice caps each day and then applies the role discount', () => {
+  const rules = [
+    { type: 'daily-cap', name: 'Cap', amount: 10 },
+    { type: 'role-discount', name: 'Staff', role: 'staff', discountPercent: 25 },
+  ];
+  const quote = quotePrice({ zone, rules, role: 'staff', startTime: at(8), endTime: at(18) });
+
+  assert.strictEqual(quote.subtotal, 10);
+  assert.strictEqual(quote.breakdown[0].capped, true);
+  assert.strictEqual(quote.discount, 2.5);
+  assert.strictEqual(quote.total, 7.5);
+});
+
+test('quotePrice ignores inactive rules and discounts for other roles', () => {
+  const rules = [
+    { type: 'time-of-day', name: 'Peak', startHour: 0, endHour: 24, multiplier: 3, isActive: false },
+    { type: 'role-discount', name: 'Staff', role: 'staff', discountPercent: 50 },
+  ];
+  const quote = quotePrice({ zone, rules, role: 'student', startTime: at(9), endTime: at(10) });
+
+  assert.strictEqual(quote.total, 2);
+});
+
+test('quotePrice adds event-day surcharges only on days with an event', () => {
+  const rules = [{ type: 'event-day', name: 'Event', surchargePerHour: 1 }];
+  const events = [{ date: at(0) }];
+
+  const eventDay = quotePrice({ zone, rules, events, role: 'student', startTime: at(9), endTime: at(10) });
+  const otherDay = quotePrice({ zone, rules, events, role: 'student', startTime: new Date(2026, 9, 20, 9), endTime: new Date(2026, 9, 20, 10) });
+
+  assert.strictEqual(eventDay.total, 3);
+  assert.strictEqual(otherDay.total, 2);
+});
+
+test('calculateRefund follows the notice period', () => {
+  const now = at(8);
+
+  assert.strictEqual(calculateRefund({ startTime: new Date(now.getTime() + 3 * HOUR_MS) }, 10, { now }), 10);
+  assert.strictEqual(calculateRefund({ startTime: new Date(now.getTime() + HOUR_MS) }, 10, { now }), 5);
+  assert.strictEqual(calculateRefund({ startTime: new Date(now.getTime() - HOUR_MS) }, 10, { now }), 0);
+});
+
+test('calculateRefund refunds admin cancellations in full and nothing unpaid', () => {
+  const now = at(8);
+  const started = { startTime: new Date(now.getTime() - HOUR_MS) };
+
+  assert.strictEqual(calculateRefund(started, 10, { now, cancelledByAdmin: true }), 10);
+  assert.strictEqual(calculateRefund(started, 0, { now, cancelledByAdmin: true }), 0);
+});
@@ -0,0 +1,55 @@
+// backend/tests/qrToken.test.js
+// Signed booking QR tokens. Runs with the temporary key used outside
+// production. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { signQRToken, verifyQRToken, QR_EARLY_MINUTES, QR_GRACE_MINUTES } = require('../utils/qrToken');
+
+const MINUTE_MS = 60 * 1000;
+const startTime = new Date('2026-10-19T09:00:00Z');
+const endTime = new Date('2026-10-19T11:00:00Z');
+const zoneId = '65f000000000000000000001';
+const token = signQRToken({ bookingId: '65f000000000000000000002', zoneId, startTime, endTime });
+
+const after = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+test('verifyQRToken accepts a token inside its window for its zone', () => {
+  const result = verifyQRToken(token, { zoneId, now: after(startTime, 10) });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.kind, 'booking');
+  assert.strictEqual(result.bookingId, '65f000000000000000000002');
+});
+
+test('verifyQRToken opens the window early and closes it after the grace period', () => {
+  assert.strictEqual(verifyQRToken(token, { now: after(startTime, -QR_EARLY_MINUTES + 1) }).valid, true);
+  assert.strictEqual(verifyQRToken(token, { now: after(startTime, -QR_EARLY_MINUTES - 1) }).reason, 'not-yet-valid');
+  assert.strictEqual(verifyQRToken(token, { now: after(endTime, QR_GRACE_MINUTES - 1) }).valid, true);
+  assert.strictEqual(verifyQRToken(token, { now: after(endTime, QR_GRACE_MINUTES + 1) }).reason, 'expired');
+});
+
+test('verifyQRToken skips the window with ignoreExpiry', () => {
+  assert.strictEqual(verifyQRToken(token, { now: after(endTime, 600), ignoreExpiry: true }).valid, true);
+});
+
+test('verifyQRToken rejects a token for another zone', () => {
+  const result = verifyQRToken(token, { zoneId: '65f000000000000000000009', now: startTime });
+
+  assert.strictEqual(result.reason, 'wrong-zone');
+});
+
+test('verifyQRToken rejects a tampered payload or signature', () => {
+  const [prefix, payload, signature] = token.split('.');
+  const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...decoded, z: '65f000000000000000000009' })).toString('base64url');
+  const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+  assert.strictEqual(verifyQRToken(`${prefix}.${forged}.${signature}`, { now: startTime }).reason, 'bad-signature');
+  assert.strictEqual(verifyQRToken(`${prefix}.${payload}.${flipped}`, { now: startTime }).reason, 'bad-signature');
+});
+
+test('verifyQRToken rejects codes that are not QR tokens', () => {
+  assert.strictEqual(verifyQRToken('PARK-123').reason, 'malformed');
+  assert.strictEqual(verifyQRToken(undefined).reason, 'malformed');
+});
@@ -0,0 +1,37 @@
+// backend/tests/recurrence.test.js
+// Recurring booking rules. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseRule, expandRule } = require('../utils/recurrence');
+
+// Monday 19 October 2026, 09:00 local time
+const start = new Date(2026, 9, 19, 9);
+
+const days = occurrences => occurrences.map(date => date.getDate());
+
+test('expandRule books weekdays up to a date-only UNTIL, keeping the time of day', () => {
+  const occurrences = expandRule('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261027', start);
+
+  assert.deepStrictEqual(days(occurrences), [19, 20, 21, 22, 23, 26, 27]);
+  assert.ok(occurrences.every(date => date.getHours() === 9 && date.getMinutes() === 0));
+});
+
+test('expandRule stops after COUNT occurrences', () => {
+  assert.deepStrictEqual(days(expandRule('FREQ=DAILY;COUNT=3', start)), [19, 20, 21]);
+});
+
+test('expandRule honours INTERVAL for daily and weekly rules', () => {
+  assert.deepStrictEqual(days(expandRule('FREQ=DAILY;INTERVAL=2;COUNT=3', start)), [19, 21, 23]);
+  assert.deepStrictEqual(days(expandRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4', start)), [19, 21, 2, 4]);
+});
+
+test('expandRule refuses rules with more occurrences than the limit', () => {
+  assert.throws(() => expandRule('FREQ=DAILY;COUNT=10', start, 5), /more than 5 occurrences/);
+});
+
+test('parseRule rejects unsupported or unbounded rules', () => {
+  assert.throws(() => parseRule('FREQ=MONTHLY;COUNT=2'), /FREQ must be DAILY or WEEKLY/);
+  assert.throws(() => parseRule('FREQ=DAILY'), /must set COUNT or UNTIL/);
+  assert.throws(() => parseRule('FREQ=WEEKLY;BYDAY=XX;COUNT=2'), /Invalid BYDAY value/);
+});
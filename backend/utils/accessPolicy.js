@@ -0,0 +1,106 @@
+// backend/utils/accessPolicy.js
+// Decides whether a user may park in a zone from the admin-managed access policies
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function hasTimeWindow(policy) {
+  return policy.startHour !== undefined && policy.startHour !== null &&
+    policy.endHour !== undefined && policy.endHour !== null;
+}
+
+function inTimeWindow(policy, date) {
+  const hour = date.getHours();
+
+  if (policy.daysOfWeek && policy.daysOfWeek.length > 0 && !policy.daysOfWeek.includes(date.getDay())) {
+    return false;
+  }
+
+  return policy.startHour < policy.endHour
+    ? hour >= policy.startHour && hour < policy.endHour
+    : hour >= policy.startHour || hour < policy.endHour;
+}
+
+// Whether the policy's time window covers a booking: all of it for allow
+// policies, any part of it for deny policies. Requests without a window
+// (permits) are only covered by policies without one.
+function coversWindow(policy, startTime, endTime) {
+  if (!hasTimeWindow(policy)) return true;
+  if (!startTime || !endTime) return false;
+
+  let cursor = new Date(startTime);
+  const end = new Date(endTime);
+
+  while (cursor < end) {
+    const inside = inTimeWindow(policy, cursor);
+    if (policy.effect === 'deny' && inside) return true;
+    if (policy.effect === 'allow' && !inside) return false;
+
+    const nextHour = new Date(cursor);
+    nextHour.setMinutes(60, 0, 0);
+    cursor = nextHour;
+  }
+
+  return policy.effect === 'allow';
+}
+
+function coversZone(policy, zone) {
+  if (policy.zoneId && policy.zoneId.toString() !== zone._id.toString()) return false;
+  if (policy.zoneType && policy.zoneType !== zone.type) return false;
+  return true;
+}
+
+function coversUser(policy, user) {
+  if (policy.roles && policy.roles.length > 0 && !policy.roles.includes(user.role)) {
+    return false;
+  }
+
+  const userIds = (policy.userIds || []).map(id => id.toString());
+  const departments = policy.departments || [];
+  if (userIds.length === 0 && departments.length === 0) return true;
+
+  return userIds.includes(String(user.id)) ||
+    Boolean(user.department && departments.includes(user.department));
+}
+
+/**
+ * Work out which policy decides a request to park in a zone. Active
+ * policies covering the zone are checked highest priority first (deny
+ * before allow at the same priority) and the first that covers both the
+ * user and the booking window decides. Without one the request is refused.
+ *
+ * Returns { allowed, reason, policy }. reason is 'allowed', 'denied',
+ * 'outside-window' (an allow policy covers the user but not the whole
+ * window; policy is that one) or 'no-policy'.
+ */
+exports.evaluateAccess = ({ policies = [], user, zone, startTime, endTime }) => {
+  const candidates = policies
+    .filter(policy => policy.isActive !== false && coversZone(policy, zone) && coversUser(policy, user))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) ||
+      (a.effect === b.effect ? 0 : a.effect === 'deny' ? -1 : 1));
+
+  const deciding = candidates.find(policy => coversWindow(policy, startTime, endTime));
+  if (deciding) {
+    return { allowed: deciding.effect === 'allow', reason: deciding.effect === 'allow' ? 'allowed' : 'denied', policy: deciding };
+  }
+
+  const timeLimited = candidates.find(policy => policy.effect === 'allow' && hasTimeWindow(policy));
+  if (timeLimited) {
+    return { allowed: false, reason: 'outside-window', policy: timeLimited };
+  }
+
+  return { allowed: false, reason: 'no-policy', policy: null };
+};
+
+// "between 07:00 and 10:00 on Mon, Tue", or '' for policies without a window
+exports.describeTimeWindow = (policy) => {
+  if (!hasTimeWindow(policy)) return '';
+
+  const hour = h => `${String(h % 24).padStart(2, '0')}:00`;
+  let text = `between ${hour(policy.startHour)} and ${hour(policy.endHour)}`;
+  if (policy.daysOfWeek && policy.daysOfWeek.length > 0) {
+    text += ` on ${policy.daysOfWeek.map(day => DAY_NAMES[day]).join(', ')}`;
+  }
+  return text;
+};
+
+exports.hasTimeWindow = hasTimeWindow;
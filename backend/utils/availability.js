@@ -0,0 +1,101 @@
+// backend/utils/availability.js
+// Time-window helpers for working out zone capacity from booking intervals
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Mongo filter matching documents whose [startTime, endTime) interval
+ * overlaps the [start, end) window
+ */
+exports.overlapQuery = (start, end) => ({
+  startTime: { $lt: end },
+  endTime: { $gt: start },
+});
+
+/**
+ * Mongo filter matching bookings whose vehicle takes a space at some point
+ * in the [start, end) window: the booked interval overlaps it, or the
+ * vehicle checked in and is still parked past its booked end, which holds
+ * the space until it checks out
+ */
+exports.occupancyQuery = (start, end, now = new Date()) => ({
+  startTime: { $lt: end },
+  $or: [
+    { endTime: { $gt: start } },
+    { checkInTime: { $ne: null }, checkOutTime: null, endTime: { $lte: now } },
+  ],
+});
+
+/**
+ * Whether a booking's vehicle is still parked past its booked end
+ */
+exports.isOverstaying = (booking, now = new Date()) =>
+  Boolean(booking.checkInTime) && !booking.checkOutTime && booking.endTime <= now;
+
+/**
+ * Highest number of intervals that are in progress at the same moment
+ * inside the window. Bookings that overlap the window but not each other
+ * (e.g. 9-10 and 11-12 inside 9-12) only ever take one slot between them.
+ */
+exports.peakOccupancy = (intervals, start, end) => {
+  const points = [];
+
+  intervals.forEach((interval) => {
+    const from = Math.max(new Date(interval.startTime).getTime(), start.getTime());
+    const to = Math.min(new Date(interval.endTime).getTime(), end.getTime());
+    if (from < to) {
+      points.push({ at: from, delta: interval.count || 1 });
+      points.push({ at: to, delta: -(interval.count || 1) });
+    }
+  });
+
+  // Ends sort before starts at the same instant so back-to-back bookings
+  // (9-10 followed by 10-11) do not count as overlapping
+  points.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  let current = 0;
+  let peak = 0;
+  points.forEach((point) => {
+    current += point.delta;
+    peak = Math.max(peak, current);
+  });
+
+  return peak;
+};
+
+/**
+ * Build a { start, end } window from request input. Accepts an explicit
+ * start/end pair, a start plus duration in hours, or a calendar date
+ * (whole day). With no input the window is the current moment.
+ * Returns null when the input cannot be parsed.
+ */
+exports.resolveWindow = ({ date, start, end, duration } = {}) => {
+  let windowStart;
+  let windowEnd;
+
+  if (start) {
+    windowStart = new Date(start);
+    if (end) {
+      windowEnd = new Date(end);
+    } else {
+      const hours = duration ? parseFloat(duration) : 1;
+      windowEnd = new Date(windowStart.getTime() + hours * HOUR_MS);
+    }
+  } else if (date) {
+    windowStart = new Date(date);
+    windowStart.setHours(0, 0, 0, 0);
+    windowEnd = new Date(date);
+    windowEnd.setHours(23, 59, 59, 999);
+  } else {
+    windowStart = new Date();
+    windowEnd = new Date(windowStart.getTime() + 1);
+  }
+
+  if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowEnd <= windowStart) {
+    return null;
+  }
+
+  return { start: windowStart, end: windowEnd };
+};
+
+exports.HOUR_MS = HOUR_MS;
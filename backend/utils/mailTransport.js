@@ -0,0 +1,55 @@
+// backend/utils/mailTransport.js
+// Outgoing mail transports. Every transport exposes the same interface:
+//   send({ from, to, subject, text }) -> { success, id, message }
+// Only local development transports exist for now: "console" prints each
+// message and "file" writes it to MAIL_OUTBOX_DIR. A real mail service is
+// added by implementing this interface and registering it in `transports`.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function messageId() {
+  return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+const consoleTransport = {
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    const id = messageId();
+    console.log(`✉ Mail ${id}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { success: true, id };
+  },
+};
+
+// Writes one JSON file per message, which tests can read back
+const fileTransport = {
+  name: 'file',
+
+  async send(mail) {
+    const id = messageId();
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ id, ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { success: true, id };
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+exports.getMailTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
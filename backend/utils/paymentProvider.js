@@ -0,0 +1,38 @@
+// backend/utils/paymentProvider.js
+// Payment gateway adapters. Every adapter exposes the same interface:
+//   charge({ amount, currency, reference, description }) -> { success, reference, message }
+//   refund({ amount, currency, reference, description }) -> { success, reference, message }
+// Only the local mock adapter exists for now; a real gateway is added by
+// implementing this interface and registering it in `providers`.
+
+const { v4: uuidv4 } = require('uuid');
+
+// Local stand-in for a payment gateway. Always succeeds unless
+// MOCK_PAYMENT_DECLINE_ABOVE is set and the amount exceeds it.
+const mockProvider = {
+  name: 'mock',
+
+  async charge({ amount }) {
+    const declineAbove = parseFloat(process.env.MOCK_PAYMENT_DECLINE_ABOVE);
+    if (!isNaN(declineAbove) && amount > declineAbove) {
+      return { success: false, message: 'Payment declined by mock provider' };
+    }
+    return { success: true, reference: `MOCK-CH-${uuidv4()}` };
+  },
+
+  async refund() {
+    return { success: true, reference: `MOCK-RF-${uuidv4()}` };
+  },
+};
+
+const providers = {
+  mock: mockProvider,
+};
+
+exports.getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
@@ -0,0 +1,59 @@
+// backend/utils/permissions.js
+// Named permissions and the roles that hold them. Routes declare what they
+// need with requirePermission (middleware/auth.js); handlers that let some
+// users act on records they don't own check can() instead.
+
+const PERMISSIONS = {
+  // Zones, spaces, access policies and pricing
+  'zones:write': ['admin'],
+  'access:manage': ['admin'],
+  'pricing:manage': ['admin'],
+  'waitlist:read': ['admin'],
+
+  // Bookings: read everyone's, cancel/check in/out someone else's, set quotas
+  'bookings:read': ['admin'],
+  'bookings:override': ['admin'],
+  'quotas:manage': ['admin'],
+
+  // Events
+  'events:read': ['admin'],
+  'events:write': ['admin'],
+
+  // Vehicles, permits and enforcement
+  'vehicles:verify': ['admin'],
+  'permits:manage': ['admin'],
+  'violations:manage': ['admin'],
+  'anpr:read': ['admin'],
+
+  // Gate scanning; scan:audit sees every attendant's scans
+  'scan:use': ['attendant', 'admin'],
+  'scan:audit': ['admin'],
+
+  // Guests
+  'visitors:register': ['staff', 'admin'],
+  'visitors:manage': ['admin'],
+
+  // Accounts
+  'users:read': ['admin'],
+  'users:manage': ['admin'],
+  'roles:manage': ['admin'],
+
+  'notifications:send': ['admin'],
+  'payments:read': ['admin'],
+  'reports:read': ['admin'],
+};
+
+function can(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return Boolean(user) && roles.includes(user.role);
+}
+
+// Every permission a role holds, for clients deciding what to show
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+module.exports = { PERMISSIONS, can, permissionsFor };
@@ -0,0 +1,112 @@
+// backend/utils/plates.js
+// Licence plate normalisation and fuzzy matching for camera (ANPR) reads
+
+// Characters OCR commonly mistakes for each other, mapped to one canonical form
+const CONFUSABLE = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', B: '8', G: '6' };
+// Most character edits (after folding confusable characters) still counted as a match
+const MAX_PLATE_DISTANCE = 1;
+
+/**
+ * Uppercase a plate and drop spaces, dashes and other separators
+ */
+function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function foldConfusable(plate) {
+  return normalizePlate(plate).split('').map(char => CONFUSABLE[char] || char).join('');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Distance between two plates after normalising and folding characters OCR
+ * confuses (0/O, 1/I, 8/B, ...). 0 means the plates are the same.
+ */
+function plateDistance(a, b) {
+  return editDistance(foldConfusable(a), foldConfusable(b));
+}
+
+/**
+ * Find the candidate whose plate (read with getPlate) best matches a camera
+ * read. Candidates with the same normalised plate are the same vehicle, so
+ * when several of them are closest, compare (an Array#sort comparator)
+ * picks which one is the match. Returns { match, matches, distance,
+ * ambiguous } where match is null when no candidate is close enough,
+ * matches holds every closest candidate with the match's plate, and
+ * ambiguous is set when different plates are equally close.
+ */
+function matchPlate(plate, candidates, getPlate = candidate => candidate, compare = () => 0) {
+  let closest = [];
+  let bestDistance = Infinity;
+
+  candidates.forEach((candidate) => {
+    const candidatePlate = getPlate(candidate);
+    if (!normalizePlate(candidatePlate)) return;
+
+    const distance = plateDistance(plate, candidatePlate);
+    if (distance < bestDistance) {
+      closest = [candidate];
+      bestDistance = distance;
+    } else if (distance === bestDistance) {
+      closest.push(candidate);
+    }
+  });
+
+  if (closest.length === 0 || bestDistance > MAX_PLATE_DISTANCE) {
+    return { match: null, matches: [], distance: null, ambiguous: false };
+  }
+
+  const plates = new Set(closest.map(candidate => normalizePlate(getPlate(candidate))));
+  const [match] = [...closest].sort(compare);
+  const matches = closest.filter(candidate => normalizePlate(getPlate(candidate)) === normalizePlate(getPlate(match)));
+
+  return { match, matches, distance: bestDistance, ambiguous: plates.size > 1 };
+}
+
+/**
+ * A regex over normalised plates that every plate matchPlate could accept
+ * for this read satisfies, for narrowing candidates in a database query.
+ * Within MAX_PLATE_DISTANCE (one) edit of the read, a plate's length is off
+ * by at most one and either its first or its second half is untouched, so it
+ * starts with the read's first half or ends with its second half, up to
+ * confusable characters.
+ */
+function plateCandidatePattern(plate) {
+  const chars = normalizePlate(plate).split('');
+  const charClass = (char) => {
+    const folded = CONFUSABLE[char] || char;
+    const same = Object.keys(CONFUSABLE).filter(other => CONFUSABLE[other] === folded);
+    return same.length > 0 ? `[${folded}${same.join('')}]` : char;
+  };
+
+  const middle = Math.floor(chars.length / 2);
+  const head = chars.slice(0, middle).map(charClass).join('');
+  const tail = chars.slice(middle).map(charClass).join('');
+  const minLength = Math.max(chars.length - MAX_PLATE_DISTANCE, 1);
+  const maxLength = chars.length + MAX_PLATE_DISTANCE;
+
+  return new RegExp(`^(?=[A-Z0-9]{${minLength},${maxLength}}$)(?:${head}|.*${tail}$)`);
+}
+
+exports.normalizePlate = normalizePlate;
+exports.plateDistance = plateDistance;
+exports.matchPlate = matchPlate;
+exports.plateCandidatePattern = plateCandidatePattern;
+exports.MAX_PLATE_DISTANCE = MAX_PLATE_DISTANCE;
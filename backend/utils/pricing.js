@@ -0,0 +1,156 @@
+// backend/utils/pricing.js
+// Booking price quotes, cancellation refunds and overstay fines
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cancelling at least this many hours before the start gets a full refund
+const REFUND_FULL_NOTICE_HOURS = parseFloat(process.env.REFUND_FULL_NOTICE_HOURS) || 2;
+// Percentage refunded for later cancellations made before the booking starts
+const REFUND_LATE_PERCENT = process.env.REFUND_LATE_PERCENT !== undefined
+  ? parseFloat(process.env.REFUND_LATE_PERCENT)
+  : 50;
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function matchesTimeRule(rule, date) {
+  const day = date.getDay();
+  const hour = date.getHours();
+
+  if (rule.type === 'weekend') {
+    return day === 0 || day === 6;
+  }
+
+  if (rule.daysOfWeek && rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(day)) {
+    return false;
+  }
+
+  return rule.startHour < rule.endHour
+    ? hour >= rule.startHour && hour < rule.endHour
+    : hour >= rule.startHour || hour < rule.endHour;
+}
+
+/**
+ * Price a booking window in a zone. The window is priced hour by hour from
+ * the zone's pricePerHour: time-of-day and weekend rules multiply the rate,
+ * event-day rules add a surcharge on days with an event in the zone, each
+ * calendar day is capped by the lowest daily-cap rule, and the best
+ * role-discount for the user's role comes off the total.
+ */
+exports.quotePrice = ({ zone, rules = [], events = [], role, startTime, endTime }) => {
+  const baseRate = zone.pricePerHour || 0;
+  const activeRules = rules.filter(rule => rule.isActive !== false);
+  const timeRules = activeRules.filter(rule => rule.type === 'time-of-day' || rule.type === 'weekend');
+  const eventRules = activeRules.filter(rule => rule.type === 'event-day');
+  const capRules = activeRules.filter(rule => rule.type === 'daily-cap');
+  const discountRules = activeRules.filter(rule => rule.type === 'role-discount' && rule.role === role);
+  const eventDays = new Set(events.map(event => dayKey(new Date(event.date))));
+
+  const days = {};
+  let cursor = new Date(startTime);
+  const end = new Date(endTime);
+
+  while (cursor < end) {
+    const nextHour = new Date(cursor);
+    nextHour.setMinutes(60, 0, 0);
+    const sliceEnd = nextHour < end ? nextHour : end;
+    const hours = (sliceEnd - cursor) / HOUR_MS;
+    const key = dayKey(cursor);
+
+    let rate = baseRate;
+    const applied = [];
+
+    timeRules.forEach((rule) => {
+      if (matchesTimeRule(rule, cursor)) {
+        rate *= rule.multiplier;
+        applied.push(rule.name);
+      }
+    });
+
+    if (eventDays.has(key)) {
+      eventRules.forEach((rule) => {
+        rate += rule.surchargePerHour;
+        applied.push(rule.name);
+      });
+    }
+
+    if (!days[key]) {
+      days[key] = { date: key, hours: 0, amount: 0, rulesApplied: new Set() };
+    }
+    days[key].hours += hours;
+    days[key].amount += rate * hours;
+    applied.forEach(name => days[key].rulesApplied.add(name));
+
+    cursor = sliceEnd;
+  }
+
+  const dailyCap = capRules.length > 0 ? Math.min(...capRules.map(rule => rule.amount)) : null;
+
+  const breakdown = Object.values(days).map((day) => {
+    const capped = dailyCap !== null && day.amount > dailyCap;
+    return {
+      date: day.date,
+      hours: roundCurrency(day.hours),
+      amount: roundCurrency(capped ? dailyCap : day.amount),
+      capped,
+      rulesApplied: [...day.rulesApplied],
+    };
+  });
+
+  const subtotal = roundCurrency(breakdown.reduce((sum, day) => sum + day.amount, 0));
+  const discountPercent = discountRules.length > 0
+    ? Math.max(...discountRules.map(rule => rule.discountPercent || 0))
+    : 0;
+  const discount = roundCurrency(subtotal * discountPercent / 100);
+
+  return {
+    baseRate,
+    hours: roundCurrency((end - new Date(startTime)) / HOUR_MS),
+    breakdown,
+    subtotal,
+    dailyCap,
+    discountPercent,
+    discount,
+    total: roundCurrency(subtotal - discount),
+  };
+};
+
+/**
+ * Amount to refund when a booking is cancelled. Admin cancellations are
+ * always refunded in full; users get a full refund with enough notice, a
+ * partial refund before the start and nothing once the booking has started.
+ */
+exports.calculateRefund = (booking, amountPaid, { cancelledByAdmin = false, now = new Date() } = {}) => {
+  if (amountPaid <= 0) return 0;
+  if (cancelledByAdmin) return amountPaid;
+
+  const noticeMs = new Date(booking.startTime) - now;
+
+  if (noticeMs >= REFUND_FULL_NOTICE_HOURS * HOUR_MS) return amountPaid;
+  if (noticeMs > 0) return roundCurrency(amountPaid * REFUND_LATE_PERCENT / 100);
+  return 0;
+};
+
+/**
+ * Fine for leaving a zone after the booked end. Minutes within the zone's
+ * grace period are free; past that the fine is the base fine plus the
+ * hourly fine for each started hour, capped at the zone's maximum.
+ */
+exports.calculateOverstayFine = (zone, minutesExceeded) => {
+  const policy = (zone && zone.overstayPolicy) || {};
+  const graceMinutes = policy.graceMinutes !== undefined ? policy.graceMinutes : 10;
+
+  if (minutesExceeded <= graceMinutes) return 0;
+
+  const hours = Math.ceil((minutesExceeded - graceMinutes) / 60);
+  const fine = (policy.baseFine || 0) + (policy.finePerHour || 0) * hours;
+
+  return roundCurrency(policy.maxFine > 0 ? Math.min(fine, policy.maxFine) : fine);
+};
+
+exports.roundCurrency = roundCurrency;
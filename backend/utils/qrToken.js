@@ -0,0 +1,134 @@
+// backend/utils/qrToken.js
+// Signed booking QR tokens. Tokens are signed with Ed25519, so a gate
+// scanner that only holds the public key can verify them offline.
+//
+// Format: PQ1.<base64url JSON payload>.<base64url signature>
+// Payload: { b: bookingId, z: zoneId, nbf: valid from, exp: valid until, n: nonce }
+// with times in seconds since the epoch. Permit passes add k: 'permit' and
+// carry the permit ID in b. Event passes add k: 'event' and e: eventId.
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'PQ1';
+// Tokens work from this many minutes before the booking starts...
+const QR_EARLY_MINUTES = parseInt(process.env.QR_EARLY_MINUTES) || 30;
+// ...until this many minutes after it ends
+const QR_GRACE_MINUTES = parseInt(process.env.QR_GRACE_MINUTES) || 15;
+
+let keys = null;
+
+function getKeys() {
+  if (keys) return keys;
+
+  if (process.env.QR_PRIVATE_KEY) {
+    // Allow the PEM to be stored on one line with escaped newlines
+    const privateKey = crypto.createPrivateKey(process.env.QR_PRIVATE_KEY.replace(/\\n/g, '\n'));
+    keys = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('QR_PRIVATE_KEY environment variable is required in production');
+  } else {
+    console.warn('⚠ QR_PRIVATE_KEY not set, using a temporary key. QR codes will stop verifying after a restart.');
+    keys = crypto.generateKeyPairSync('ed25519');
+  }
+
+  return keys;
+}
+
+function failure(reason, message) {
+  return { valid: false, reason, message };
+}
+
+/**
+ * Sign a QR token for a booking (or a permit, with kind 'permit', or an event
+ * booking, with kind 'event' and its eventId), valid from shortly before
+ * startTime until shortly after endTime
+ */
+exports.signQRToken = ({ bookingId, zoneId, startTime, endTime, kind = 'booking', eventId }) => {
+  const payload = {
+    b: bookingId.toString(),
+    z: zoneId.toString(),
+    nbf: Math.floor((new Date(startTime).getTime() - QR_EARLY_MINUTES * 60 * 1000) / 1000),
+    exp: Math.floor((new Date(endTime).getTime() + QR_GRACE_MINUTES * 60 * 1000) / 1000),
+    n: crypto.randomBytes(6).toString('base64url'),
+  };
+  if (kind !== 'booking') payload.k = kind;
+  if (eventId) payload.e = eventId.toString();
+
+  const body = `${TOKEN_PREFIX}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+  const signature = crypto.sign(null, Buffer.from(body), getKeys().privateKey);
+
+  return `${body}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify a QR token's signature and validity window, and optionally that it
+ * belongs to zoneId. Returns { valid: true, kind, bookingId, zoneId, eventId,
+ * validFrom, validUntil } or { valid: false, reason, message }. Pass ignoreExpiry to
+ * accept tokens past their window (e.g. checking out after an overstay).
+ */
+exports.verifyQRToken = (token, { zoneId, now = new Date(), ignoreExpiry = false } = {}) => {
+  if (typeof token !== 'string') {
+    return failure('malformed', 'Valid QR code required');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return failure('malformed', 'Unrecognised QR code');
+  }
+
+  let signatureValid;
+  try {
+    signatureValid = crypto.verify(
+      null,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      getKeys().publicKey,
+      Buffer.from(parts[2], 'base64url')
+    );
+  } catch (error) {
+    signatureValid = false;
+  }
+
+  if (!signatureValid) {
+    return failure('bad-signature', 'QR code signature is invalid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return failure('malformed', 'Unrecognised QR code');
+  }
+
+  const validFrom = new Date(payload.nbf * 1000);
+  const validUntil = new Date(payload.exp * 1000);
+
+  if (!ignoreExpiry && now < validFrom) {
+    return failure('not-yet-valid', `QR code is not valid until ${validFrom.toISOString()}`);
+  }
+
+  if (!ignoreExpiry && now > validUntil) {
+    return failure('expired', 'QR code has expired');
+  }
+
+  if (zoneId && payload.z !== zoneId.toString()) {
+    return failure('wrong-zone', 'QR code is for a different zone');
+  }
+
+  return {
+    valid: true,
+    kind: payload.k || 'booking',
+    bookingId: payload.b,
+    zoneId: payload.z,
+    eventId: payload.e,
+    validFrom,
+    validUntil,
+  };
+};
+
+/**
+ * Public key (SPKI PEM) gate scanners use to verify tokens offline
+ */
+exports.getQRPublicKey = () => getKeys().publicKey.export({ type: 'spki', format: 'pem' });
+
+exports.QR_EARLY_MINUTES = QR_EARLY_MINUTES;
+exports.QR_GRACE_MINUTES = QR_GRACE_MINUTES;
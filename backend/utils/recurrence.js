@@ -0,0 +1,124 @@
+// backend/utils/recurrence.js
+// Minimal RRULE support for recurring bookings (FREQ=DAILY|WEEKLY with
+// INTERVAL, BYDAY, COUNT and UNTIL), e.g.
+//   FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261218
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const MAX_OCCURRENCES = 200;
+const MAX_SPAN_DAYS = 366;
+
+function parseUntil(value) {
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (compact) {
+    const [, year, month, day, hour, minute, second] = compact;
+    // A date-only UNTIL includes the whole of that day
+    return hour === undefined
+      ? new Date(year, month - 1, day, 23, 59, 59, 999)
+      : new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+  return new Date(value);
+}
+
+/**
+ * Parse an RRULE string into { freq, interval, byDay, count, until }.
+ * Throws an Error with a user-facing message when the rule is invalid.
+ */
+exports.parseRule = (rule) => {
+  if (!rule || typeof rule !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const parts = {};
+  rule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, value] = part.split('=');
+    parts[(key || '').trim().toUpperCase()] = (value || '').trim().toUpperCase();
+  });
+
+  if (!['DAILY', 'WEEKLY'].includes(parts.FREQ)) {
+    throw new Error('FREQ must be DAILY or WEEKLY');
+  }
+
+  const parsed = { freq: parts.FREQ, interval: 1, byDay: null, count: null, until: null };
+
+  if (parts.INTERVAL) {
+    parsed.interval = parseInt(parts.INTERVAL);
+    if (isNaN(parsed.interval) || parsed.interval < 1) {
+      throw new Error('INTERVAL must be a positive number');
+    }
+  }
+
+  if (parts.BYDAY) {
+    parsed.byDay = parts.BYDAY.split(',').map((day) => {
+      if (WEEKDAYS[day] === undefined) {
+        throw new Error(`Invalid BYDAY value: ${day}`);
+      }
+      return WEEKDAYS[day];
+    });
+  }
+
+  if (parts.COUNT) {
+    parsed.count = parseInt(parts.COUNT);
+    if (isNaN(parsed.count) || parsed.count < 1) {
+      throw new Error('COUNT must be a positive number');
+    }
+  }
+
+  if (parts.UNTIL) {
+    parsed.until = parseUntil(parts.UNTIL);
+    if (isNaN(parsed.until.getTime())) {
+      throw new Error('Invalid UNTIL date');
+    }
+  }
+
+  if (!parsed.count && !parsed.until) {
+    throw new Error('Recurrence rule must set COUNT or UNTIL');
+  }
+
+  return parsed;
+};
+
+/**
+ * Expand a rule into the start times of each occurrence. The time of day
+ * is taken from dtstart, which is always the first candidate occurrence.
+ */
+exports.expandRule = (rule, dtstart, limit = MAX_OCCURRENCES) => {
+  const parsed = typeof rule === 'string' ? exports.parseRule(rule) : rule;
+  const first = new Date(dtstart);
+
+  if (isNaN(first.getTime())) {
+    throw new Error('Invalid series start time');
+  }
+
+  const byDay = parsed.byDay || [first.getDay()];
+  // Weeks start on Monday, as with the RRULE default WKST=MO
+  const firstWeekOffset = (first.getDay() + 6) % 7;
+  const occurrences = [];
+
+  for (let dayIndex = 0; dayIndex <= MAX_SPAN_DAYS; dayIndex++) {
+    const current = new Date(first);
+    current.setDate(first.getDate() + dayIndex);
+
+    if (parsed.until && current > parsed.until) break;
+    if (parsed.count && occurrences.length >= parsed.count) break;
+
+    let included;
+    if (parsed.freq === 'DAILY') {
+      included = dayIndex % parsed.interval === 0 &&
+        (!parsed.byDay || parsed.byDay.includes(current.getDay()));
+    } else {
+      const weekIndex = Math.floor((dayIndex + firstWeekOffset) / 7);
+      included = weekIndex % parsed.interval === 0 && byDay.includes(current.getDay());
+    }
+
+    if (included) {
+      if (occurrences.length >= limit) {
+        throw new Error(`Recurrence produces more than ${limit} occurrences`);
+      }
+      occurrences.push(current);
+    }
+  }
+
+  return occurrences;
+};
+
+exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
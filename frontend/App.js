@@ -329,6 +329,24 @@ const api = {
     }
   },
 
+  // Browsers can't send the Authorization header, so reports opened in one
+  // carry a short-lived download token instead
+  getReportDownloadToken: async (reportType, token) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/reports/${reportType}/pdf/link`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+      if (!data.success) throw new Error(data.message || 'Could not create download link');
+      return data;
+    } catch (error) {
+      console.error('Get report download link API error:', error);
+      throw error;
+    }
+  },
+
   registerPushToken: async (userId, pushToken, token) => {
     try {
       const response = await fetch(`${API_BASE_URL}/users/${userId}/push-token`, {
@@ -1106,12 +1124,18 @@ const CampusParkingApp = () => {
             {
               text: 'Open in Browser',
               onPress: async () => {
-                const pdfUrl = `${endpoint}?token=${authToken}`;
-                const supported = await Linking.canOpenURL(pdfUrl);
-                if (supported) {
-                  await Linking.openURL(pdfUrl);
-                } else {
-                  Alert.alert('Error', 'Cannot open PDF URL');
+                try {
+                  const { downloadToken } = await api.getReportDownloadToken(reportType, authToken);
+                  const separator = endpoint.includes('?') ? '&' : '?';
+                  const pdfUrl = `${endpoint}${separator}download=${encodeURIComponent(downloadToken)}`;
+                  const supported = await Linking.canOpenURL(pdfUrl);
+                  if (supported) {
+                    await Linking.openURL(pdfUrl);
+                  } else {
+                    Alert.alert('Error', 'Cannot open PDF URL');
+                  }
+                } catch (error) {
+                  Alert.alert('Error', error.message || 'Could not create download link');
                 }
               }
             }